@@ -0,0 +1,53 @@
+// Tables the pollers watch, keyed by table name. Point CHANGE_CAPTURE_PATH at
+// another module to override; more tables can be added at runtime through
+// POST /api/change-capture (those are kept in change_capture_tables).
+//
+//   mode            - "inserts" (default): rows whose keyColumn is above the last one seen
+//                     "changes": rows whose updated_at moved past the watermark and
+//                     whose watchColumns differ from the values last seen
+//   keyColumn       - increasing numeric column identifying rows (default id)
+//   watchColumns    - columns compared in changes mode
+//   batchSize       - rows read per poll (default 50)
+//   intervalSeconds - time between polls (default 30); PUT /api/pollers/:table overrides it
+//   event           - event type sent to webhooks and email (default <table>.created
+//                     in inserts mode, the table name in changes mode)
+//   filter          - only rows matching these column conditions fire; the rest
+//                     just move the watermark. Same format as webhook subscription
+//                     filters, e.g. { status: 'confirmed', confirmed_at: { is_null: true } }.
+//                     Rows created through /api/tables go through it too.
+//   changeEvents    - also send <table>.updated and/or <table>.deleted events, with
+//                     before/after values of the changed columns in _change_details.
+//                     Needs the TRIGGER privilege: rows are logged by triggers this
+//                     service installs. The filter doesn't apply to these events.
+//                     Changes made through /api/tables are sent by the API instead.
+//   ignoreColumns   - columns whose changes alone don't count as an update
+
+module.exports = {
+  form_submits: {
+    changeEvents: ['updated', 'deleted']
+  },
+
+  // Pending subscribers are announced by the confirm route once they opt in
+  // (which sets confirmed_at); only rows inserted as confirmed go out here
+  subscribers: {
+    filter: { status: 'confirmed', confirmed_at: { is_null: true } },
+    changeEvents: ['updated', 'deleted']
+  },
+
+  // Moderated comments are announced by the approve route (which sets
+  // moderated_at); only rows inserted as approved go out here
+  blog_comments: {
+    filter: { status: 'approved', moderated_at: { is_null: true } },
+    changeEvents: ['updated', 'deleted']
+  },
+
+  blog_posts: {
+    mode: 'changes',
+    watchColumns: ['view_count'],
+    batchSize: 200,
+    event: 'blog_posts_view_count_change',
+    // View counts have their own event above
+    changeEvents: ['updated', 'deleted'],
+    ignoreColumns: ['view_count', 'updated_at']
+  }
+};
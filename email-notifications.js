@@ -0,0 +1,37 @@
+// Direct email notifications sent by the pollers alongside the webhooks, keyed
+// by monitored table. Point EMAIL_NOTIFICATIONS_PATH at another module to override.
+//
+//   to          - comma-separated addresses or an array of them
+//   toField     - column on the record holding the recipient (e.g. a subscriber's email)
+//   template    - email_templates name; stored variants override the defaults below
+//   localeField - column on the record holding the recipient's locale
+//   subject, text, html - default template; {{path}} placeholders are filled from
+//                 { tableName, recordDetails, recordSummary, links }, HTML-escaped in
+//                 html unless written {{{path}}}; links.unsubscribeUrl is set for subscribers
+
+module.exports = {
+  form_submits: {
+    to: process.env.SALES_INBOX_EMAIL,
+    template: 'form_submit_notification',
+    subject: 'New {{recordDetails.form_type}} form submission',
+    text: 'A new form submission (#{{recordDetails.id}}) was received.\n\n{{recordSummary}}',
+    html: '<p>A new form submission (#{{recordDetails.id}}) was received.</p><pre>{{recordSummary}}</pre>'
+  },
+
+  blog_comments: {
+    to: process.env.COMMENT_MODERATORS_EMAIL,
+    template: 'blog_comment_notification',
+    subject: 'New blog comment on post #{{recordDetails.post_id}}',
+    text: '{{recordDetails.author_name}} commented:\n\n{{recordDetails.content}}',
+    html: '<p><strong>{{recordDetails.author_name}}</strong> commented:</p><blockquote>{{recordDetails.content}}</blockquote>'
+  },
+
+  subscribers: {
+    toField: 'email',
+    localeField: 'locale',
+    template: 'subscriber_welcome',
+    subject: 'Welcome to the Chemican newsletter',
+    text: 'Hi {{recordDetails.name}},\n\nThanks for subscribing to our newsletter.\n\nUnsubscribe: {{links.unsubscribeUrl}}',
+    html: '<p>Hi {{recordDetails.name}},</p><p>Thanks for subscribing to our newsletter.</p><p><a href="{{links.unsubscribeUrl}}">Unsubscribe</a></p>'
+  }
+};
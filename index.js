@@ -3,6 +3,18 @@ const mysql = require('mysql2/promise');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { WebSocketServer } = require('ws');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const {
+  SIGNATURE_HEADER,
+  EVENT_ID_HEADER,
+  EVENT_VERSION_HEADER,
+  signWebhookPayload
+} = require('./webhook-signature');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -14,22 +26,54 @@ const MYSQL_PASSWORD = process.env.MYSQL_PASSWORD;
 const MYSQL_DATABASE = process.env.MYSQL_DATABASE;
 const MYSQL_PORT = process.env.MYSQL_PORT;
 const POWER_AUTOMATE_WEBHOOK_URL = process.env.POWER_AUTOMATE_WEBHOOK_URL;
+const WEBHOOK_SIGNING_SECRET = process.env.WEBHOOK_SIGNING_SECRET;
+const WEBHOOK_PREVIOUS_SIGNING_SECRET = process.env.WEBHOOK_PREVIOUS_SIGNING_SECRET;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = process.env.SMTP_PORT;
+const SMTP_SECURE = process.env.SMTP_SECURE;
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT;
+const MAIL_FROM = process.env.MAIL_FROM || 'Chemican <no-reply@chemican.com>';
+const DEFAULT_EMAIL_LOCALE = process.env.DEFAULT_EMAIL_LOCALE || 'en';
+const SUBSCRIPTION_TOKEN_SECRET = process.env.SUBSCRIPTION_TOKEN_SECRET;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${port}`).replace(/\/$/, '');
+const SUBSCRIBE_REDIRECT_URL = process.env.SUBSCRIBE_REDIRECT_URL;
+const UNSUBSCRIBE_REDIRECT_URL = process.env.UNSUBSCRIBE_REDIRECT_URL;
+const EMAIL_NOTIFICATIONS_PATH = process.env.EMAIL_NOTIFICATIONS_PATH || path.join(__dirname, 'email-notifications.js');
+const TABLE_POLICY_PATH = process.env.TABLE_POLICY_PATH || path.join(__dirname, 'table-policy.js');
+const CHANGE_CAPTURE_PATH = process.env.CHANGE_CAPTURE_PATH || path.join(__dirname, 'change-capture.js');
 
 if (!POWER_AUTOMATE_WEBHOOK_URL) {
-    console.warn("POWER_AUTOMATE_WEBHOOK_URL not set. Webhook notifications disabled.");
+    console.warn("POWER_AUTOMATE_WEBHOOK_URL not set. Only webhook_subscriptions will receive notifications.");
+}
+
+if (!SMTP_HOST && !MAIL_TRANSPORT) {
+    console.warn("SMTP_HOST not set. Email notifications disabled.");
+}
+
+if (!SUBSCRIPTION_TOKEN_SECRET) {
+    console.warn("SUBSCRIPTION_TOKEN_SECRET not set. Newsletter subscribe/confirm/unsubscribe links disabled.");
+}
+
+if (!ADMIN_API_KEY) {
+    console.warn("ADMIN_API_KEY not set. Only keys stored in api_keys can authenticate.");
 }
 
 // Middleware
-app.use(cors());
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the visitor's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'X-Next-Cursor'] }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
+app.use('/api', authenticateApiKey);
 
 // Create database connection pool
 let pool;
-let lastKnownFormSubmitId = 0;
-let lastKnownSubscriberId = 0;
-let lastKnownBlogCommentId = 0;
-let lastKnownBlogPostsState = {}; // To track view_count changes
 let isInitialCheckComplete = false;
 
 async function initializeDatabase() {
@@ -52,13 +96,52 @@ async function initializeDatabase() {
     // Create tracking table for external submissions if needed
     await createTrackingTable();
     
-    // Initialize the lastKnownIds for various tables
-    await initializeLastKnownIds();
+    // Create the API keys table used by the auth middleware
+    await createApiKeysTable();
+    
+    // Create the event log, the outbox that queues webhook deliveries and the
+    // subscriptions it fans out to
+    await createRecordEventsTable();
+    await createWebhookOutboxTable();
+    await createWebhookSubscriptionsTable();
+    
+    // Create the editable email template store
+    await createEmailTemplatesTable();
+    
+    // Add the double opt-in lifecycle columns to subscribers, and the log of
+    // every confirmation and opt-out
+    await migrateSubscribersTable();
+    await createSubscriberConsentEventsTable();
+    
+    // Create the newsletter campaign tables
+    await createCampaignTables();
+    
+    // Add the moderation columns to blog_comments
+    await migrateBlogCommentsTable();
+    
+    // Create the raw blog post view log
+    await createBlogPostViewsTable();
+    
+    // Create the daily analytics counters
+    await createAnalyticsMetricsTable();
+    
+    // Register the watched tables (change-capture.js plus runtime additions)
+    // and pick up each one's tracking state
+    await createChangeCaptureTables();
+    await createPollerLeasesTable();
+    await createChangeLogTable();
+    await loadChangeCaptureRegistry();
     
     // Start polling for new records in monitored tables
     // Polls regardless of webhook — also handles direct email notifications
     startRecordPolling();
     
+    // Deliver queued webhook events (with retries) in the background
+    startOutboxWorker();
+    
+    // Send (and resume) newsletter campaigns in throttled batches
+    startCampaignWorker();
+    
   } catch (err) {
     console.error('Failed to create database pool:', err);
     process.exit(1);
@@ -75,801 +158,6700 @@ async function createTrackingTable() {
         PRIMARY KEY (table_name)
       )
     `);
+    // Watermark for tables watched in changes mode
+    await addColumnIfMissing('webhook_processed_records', 'last_processed_updated_at', 'DATETIME(3) NULL DEFAULT NULL');
+    // Poller settings changed through /api/pollers (interval_seconds overrides the entry's)
+    await addColumnIfMissing('webhook_processed_records', 'paused', 'TINYINT(1) NOT NULL DEFAULT 0');
+    await addColumnIfMissing('webhook_processed_records', 'interval_seconds', 'INT NULL DEFAULT NULL');
     
-    // Insert rows for monitored tables if they don't exist
-    await pool.query(`
-      INSERT IGNORE INTO webhook_processed_records (table_name, last_processed_id)
-      VALUES 
-        ('form_submits', 0),
-        ('subscribers', 0),
-        ('blog_posts', 0),
-        ('blog_comments', 0)
-    `);
-    
+    // Tracking rows are added per watched table by registerChangeCapture
     console.log('Tracking table created successfully');
   } catch (err) {
     console.error('Error creating tracking table:', err);
   }
 }
 
-async function initializeLastKnownIds() {
+async function initializeTableMaxId(tableName, keyColumn = 'id') {
+  // Find the highest existing key so a newly watched table starts from now
+  const [maxRows] = await pool.query(`
+    SELECT COALESCE(MAX(??), 0) AS max_id FROM ??
+  `, [keyColumn, tableName]);
+  
+  const maxId = maxRows[0].max_id || 0;
+  console.log(`No tracking record found for ${tableName}. Set max ID to: ${maxId}`);
+  
+  // Update the tracking table, unless another instance just created the row
+  await pool.query(`
+    INSERT IGNORE INTO webhook_processed_records (table_name, last_processed_id)
+    VALUES (?, ?)
+  `, [tableName, maxId]);
+  
+  const [trackingRows] = await pool.query(`
+    SELECT last_processed_id FROM webhook_processed_records WHERE table_name = ?
+  `, [tableName]);
+  return trackingRows[0].last_processed_id;
+}
+
+// --- Change capture registry ---
+// Every watched table is declared once (change-capture.js, or at runtime
+// through POST /api/change-capture) and gets its own poll timer, tracking row
+// and in-memory state from here.
+const CHANGE_CAPTURE_MODES = ['inserts', 'changes'];
+const CHANGE_CAPTURE_DEFAULTS = { mode: 'inserts', keyColumn: 'id', batchSize: 50, intervalSeconds: 30 };
+const MAX_CHANGE_CAPTURE_BATCH_SIZE = 1000;
+const IDENTIFIER_PATTERN = /^[a-zA-Z0-9_]+$/;
+// Rows updated in the last few seconds wait for the next cycle, so a write
+// committing late with an earlier updated_at isn't skipped by the watermark
+const CHANGE_SETTLE_SECONDS = parseInt(process.env.CHANGE_SETTLE_SECONDS || '2', 10);
+const changeCaptureRegistry = new Map(); // table name -> entry (see registerChangeCapture)
+// webhook_processed_records columns -> the entry fields mirroring them
+const WATERMARK_FIELDS = {
+  last_processed_id: 'lastProcessedId',
+  last_processed_updated_at: 'lastProcessedUpdatedAt',
+  last_change_log_id: 'lastChangeLogId'
+};
+const RUNTIME_REGISTRY_SYNC_INTERVAL_MS = 60 * 1000;
+let recordPollingStarted = false;
+
+async function createChangeCaptureTables() {
   try {
-    // Get the last processed IDs from the tracking table for all monitored tables
-    const [rows] = await pool.query(`
-      SELECT table_name, last_processed_id FROM webhook_processed_records
-      WHERE table_name IN ('form_submits', 'subscribers', 'blog_posts', 'blog_comments')
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS change_capture_tables (
+        table_name VARCHAR(100) NOT NULL PRIMARY KEY,
+        config TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
     `);
-    
-    // Process each table's tracking info
-    for (const row of rows) {
-      const tableName = row.table_name;
-      const lastProcessedId = row.last_processed_id;
-      
-      if (tableName === 'form_submits') {
-        lastKnownFormSubmitId = lastProcessedId;
-        console.log(`Initialized lastKnownFormSubmitId to ${lastKnownFormSubmitId}`);
-      }
-      else if (tableName === 'subscribers') {
-        lastKnownSubscriberId = lastProcessedId;
-        console.log(`Initialized lastKnownSubscriberId to ${lastKnownSubscriberId}`);
-      }
-      else if (tableName === 'blog_comments') {
-        lastKnownBlogCommentId = lastProcessedId;
-        console.log(`Initialized lastKnownBlogCommentId to ${lastKnownBlogCommentId}`);
-      }
-      
-      // For tables where we need to track specific column changes (like blog_posts)
-      if (tableName === 'blog_posts') {
-        // Initialize the state of blog_posts view_count for tracking changes
-        await initializeBlogPostsState();
-      }
-    }
-    
-    // For any table without an existing row, find the highest existing ID
-    if (!rows.find(r => r.table_name === 'form_submits')) {
-      await initializeTableMaxId('form_submits', 'lastKnownFormSubmitId');
+    // Last values seen for the watchColumns of tables in changes mode
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_record_snapshots (
+        table_name VARCHAR(100) NOT NULL,
+        record_id BIGINT NOT NULL,
+        data LONGTEXT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (table_name, record_id)
+      )
+    `);
+    console.log('Change capture tables created successfully');
+  } catch (err) {
+    console.error('Error creating change capture tables:', err);
+  }
+}
+
+// Fill in defaults and check the shape of one registry entry
+function normalizeChangeCaptureConfig(tableName, input) {
+  const config = { ...CHANGE_CAPTURE_DEFAULTS, ...input, tableName };
+
+  if (!IDENTIFIER_PATTERN.test(tableName)) {
+    throw httpError(400, `Invalid table name "${tableName}"`);
+  }
+  if (!CHANGE_CAPTURE_MODES.includes(config.mode)) {
+    throw httpError(400, `mode must be one of: ${CHANGE_CAPTURE_MODES.join(', ')}`);
+  }
+  if (!IDENTIFIER_PATTERN.test(config.keyColumn)) {
+    throw httpError(400, 'keyColumn must be a column name');
+  }
+  if (!Number.isInteger(config.batchSize) || config.batchSize < 1 || config.batchSize > MAX_CHANGE_CAPTURE_BATCH_SIZE) {
+    throw httpError(400, `batchSize must be an integer between 1 and ${MAX_CHANGE_CAPTURE_BATCH_SIZE}`);
+  }
+  if (!Number.isInteger(config.intervalSeconds) || config.intervalSeconds < 1) {
+    throw httpError(400, 'intervalSeconds must be a positive integer');
+  }
+  config.event = config.event || (config.mode === 'inserts' ? `${tableName}.created` : tableName);
+  if (!/^[a-zA-Z0-9_.]+$/.test(config.event)) {
+    throw httpError(400, 'event must be an event type such as blog_posts or blog_posts.updated');
+  }
+  if (config.mode === 'changes') {
+    if (!Array.isArray(config.watchColumns) || config.watchColumns.length === 0
+      || !config.watchColumns.every(column => IDENTIFIER_PATTERN.test(column))) {
+      throw httpError(400, 'watchColumns must list the columns to compare in changes mode');
     }
-    
-    if (!rows.find(r => r.table_name === 'subscribers')) {
-      await initializeTableMaxId('subscribers', 'lastKnownSubscriberId');
+  } else {
+    config.watchColumns = [];
+  }
+  config.filter = config.filter || null;
+  if (config.filter) {
+    validateRecordFilters(config.filter, 'filter');
+  }
+  config.changeEvents = config.changeEvents || [];
+  if (!Array.isArray(config.changeEvents) || !config.changeEvents.every(action => CHANGE_EVENT_ACTIONS.includes(action))) {
+    throw httpError(400, `changeEvents must list any of: ${CHANGE_EVENT_ACTIONS.join(', ')}`);
+  }
+  config.ignoreColumns = config.ignoreColumns || [];
+  if (!Array.isArray(config.ignoreColumns) || !config.ignoreColumns.every(column => IDENTIFIER_PATTERN.test(column))) {
+    throw httpError(400, 'ignoreColumns must list column names');
+  }
+
+  return {
+    tableName,
+    mode: config.mode,
+    keyColumn: config.keyColumn,
+    watchColumns: config.watchColumns,
+    batchSize: config.batchSize,
+    intervalSeconds: config.intervalSeconds,
+    event: config.event,
+    filter: config.filter,
+    changeEvents: config.changeEvents,
+    ignoreColumns: config.ignoreColumns
+  };
+}
+
+// Checks the columns an entry relies on exist and suit it. Changes mode needs
+// an updated_at column and an (updated_at, key) index; they are only added
+// when allowSchemaChanges is set, which tables from change-capture.js always
+// have and tables added at runtime must ask for.
+async function prepareChangeCaptureTable(config, { allowSchemaChanges = false } = {}) {
+  const schema = await getTableSchema(config.tableName);
+  if (!schema) {
+    throw httpError(404, `Table ${config.tableName} not found`);
+  }
+  const missing = [config.keyColumn, ...config.watchColumns, ...config.ignoreColumns]
+    .filter(column => !schema.columnNames.includes(column));
+  if (missing.length > 0) {
+    throw httpError(400, `${config.tableName} has no column(s): ${missing.join(', ')}`);
+  }
+  // Watermarks and the change log keep keys as integers
+  const keyColumn = schema.columns.find(column => column.name === config.keyColumn);
+  if (!INTEGER_TYPES.includes(keyColumn.dataType)) {
+    throw httpError(400, `keyColumn ${config.keyColumn} must be an integer column`);
+  }
+
+  if (config.mode === 'changes') {
+    const updatedAt = schema.columns.find(column => column.name === 'updated_at');
+    if (updatedAt && !['datetime', 'timestamp'].includes(updatedAt.dataType)) {
+      throw httpError(400, `${config.tableName}.updated_at must be a DATETIME or TIMESTAMP column`);
     }
-    
-    if (!rows.find(r => r.table_name === 'blog_comments')) {
-      await initializeTableMaxId('blog_comments', 'lastKnownBlogCommentId');
+    const [indexes] = await pool.query(`
+      SELECT 1 FROM information_schema.STATISTICS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = 'idx_updated_at_id'
+      LIMIT 1
+    `, [config.tableName]);
+    const schemaChanges = [
+      !updatedAt && 'an updated_at column',
+      indexes.length === 0 && 'the idx_updated_at_id index'
+    ].filter(Boolean);
+    if (schemaChanges.length > 0 && !allowSchemaChanges) {
+      throw httpError(400, `Changes mode needs ${schemaChanges.join(' and ')} on ${config.tableName}; pass allowSchemaChanges: true to add them`);
     }
-    
-    if (!rows.find(r => r.table_name === 'blog_posts')) {
-      await initializeTableMaxId('blog_posts');
-      await initializeBlogPostsState();
+
+    await addColumnIfMissing(
+      config.tableName,
+      'updated_at',
+      'TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+    );
+    await addIndexIfMissing(config.tableName, 'idx_updated_at_id', ['updated_at', config.keyColumn]);
+
+    const [columns] = await pool.query(`
+      SELECT EXTRA FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = 'updated_at'
+    `, [config.tableName]);
+    if (columns.length > 0 && !/on update/i.test(columns[0].EXTRA)) {
+      console.warn(`${config.tableName}.updated_at has no ON UPDATE CURRENT_TIMESTAMP; changes will only be seen when writers set it`);
     }
-    
-    // Mark that we've completed the initial check and setup
-    isInitialCheckComplete = true;
-  } catch (err) {
-    console.error('Error initializing lastKnownIds:', err);
   }
 }
 
-async function initializeTableMaxId(tableName, variableName = null) {
-  try {
-    // Find the highest existing ID
-    const [maxRows] = await pool.query(`
-      SELECT COALESCE(MAX(id), 0) AS max_id FROM ${tableName}
-    `);
-    
-    const maxId = maxRows[0].max_id || 0;
-    
-    // Set the variable if provided
-    if (variableName) {
-      global[variableName] = maxId;
-      console.log(`No tracking record found for ${tableName}. Set ${variableName} to current max: ${maxId}`);
+// Adds a table to the registry, creating its tracking row (starting from now)
+// on first use, and starts polling it if polling is already running
+async function registerChangeCapture(config, source, { allowSchemaChanges = false } = {}) {
+  await prepareChangeCaptureTable(config, { allowSchemaChanges: source === 'config' || allowSchemaChanges });
+
+  const entry = {
+    ...config,
+    source, // 'config' (change-capture.js) or 'runtime' (change_capture_tables)
+    timer: null,
+    running: false,
+    lastProcessedId: 0,
+    lastProcessedUpdatedAt: null,
+    lastChangeLogId: 0,
+    changeLogActive: false,
+    leaseHeld: false,
+    configuredIntervalSeconds: config.intervalSeconds,
+    paused: false,
+    lastRunAt: null,
+    lastError: null
+  };
+
+  const [tracking] = await pool.query(`
+    SELECT last_processed_id, last_processed_updated_at, last_change_log_id, paused, interval_seconds
+    FROM webhook_processed_records
+    WHERE table_name = ?
+  `, [config.tableName]);
+
+  if (config.mode === 'changes') {
+    if (tracking.length > 0 && tracking[0].last_processed_updated_at) {
+      entry.lastProcessedId = tracking[0].last_processed_id;
+      entry.lastProcessedUpdatedAt = tracking[0].last_processed_updated_at;
+      console.log(`Resuming ${config.tableName} change detection from ${entry.lastProcessedUpdatedAt.toISOString()}`);
     } else {
-      console.log(`No tracking record found for ${tableName}. Set max ID to: ${maxId}`);
+      await initializeChangesWatermark(entry);
     }
-    
-    // Update the tracking table
-    await pool.query(`
-      INSERT INTO webhook_processed_records (table_name, last_processed_id)
-      VALUES (?, ?)
-      ON DUPLICATE KEY UPDATE last_processed_id = ?
-    `, [tableName, maxId, maxId]);
-    
-    return maxId;
-  } catch (err) {
-    console.error(`Error initializing max ID for ${tableName}:`, err);
-    return 0;
+  } else if (tracking.length > 0) {
+    entry.lastProcessedId = tracking[0].last_processed_id;
+    console.log(`Initialized ${config.tableName} last processed ID to ${entry.lastProcessedId}`);
+  } else {
+    entry.lastProcessedId = await initializeTableMaxId(config.tableName, config.keyColumn);
   }
-}
 
-async function initializeBlogPostsState() {
-  try {
-    // Get current state of all blog posts view_counts
-    const [posts] = await pool.query(`
-      SELECT id, view_count FROM blog_posts
-    `);
-    
-    // Store in our tracking object
-    lastKnownBlogPostsState = {};
-    posts.forEach(post => {
-      lastKnownBlogPostsState[post.id] = post.view_count;
-    });
-    
-    console.log(`Initialized state for ${posts.length} blog posts`);
-  } catch (err) {
-    console.error('Error initializing blog posts state:', err);
-    lastKnownBlogPostsState = {};
+  entry.lastChangeLogId = tracking.length > 0 ? tracking[0].last_change_log_id : 0;
+  if (tracking.length > 0) {
+    applyPollerSettings(entry, tracking[0]);
   }
-}
-
-let pollingInProgress = false;
+  entry.changeLogActive = await syncChangeLogTriggers(entry) && entry.changeEvents.length > 0;
 
-function startRecordPolling() {
-  // First immediate check
-  checkForNewRecords();
+  const previous = changeCaptureRegistry.get(config.tableName);
+  if (previous && previous.timer) {
+    clearInterval(previous.timer);
+  }
+  changeCaptureRegistry.set(config.tableName, entry);
 
-  // Then check every 30 seconds (avoids pile-up from overlapping cycles)
-  setInterval(checkForNewRecords, 30000);
+  if (recordPollingStarted) {
+    scheduleChangeCapture(entry);
+  }
+  return entry;
 }
 
-async function checkForNewRecords() {
-  if (!isInitialCheckComplete || pollingInProgress) {
-    return;
+// Registers the tables from change-capture.js, then the ones added at runtime
+async function loadChangeCaptureRegistry() {
+  const fileConfig = require(path.resolve(CHANGE_CAPTURE_PATH));
+  const [runtimeRows] = await pool.query('SELECT table_name, config FROM change_capture_tables');
+
+  const configs = [
+    ...Object.entries(fileConfig).map(([tableName, config]) => [tableName, config, 'config']),
+    ...runtimeRows
+      .filter(row => !Object.prototype.hasOwnProperty.call(fileConfig, row.table_name))
+      .map(row => [row.table_name, JSON.parse(row.config), 'runtime'])
+  ];
+
+  for (const [tableName, config, source] of configs) {
+    try {
+      await registerChangeCapture(normalizeChangeCaptureConfig(tableName, config), source);
+    } catch (err) {
+      console.error(`Change capture for ${tableName} not started:`, err.message);
+    }
   }
-  
-  pollingInProgress = true;
+
   try {
-    await checkForNewFormSubmissions();
-    await checkForNewSubscribers();
-    await checkForNewBlogComments();
-    await checkForBlogPostViewCountChanges();
+    await dropStaleChangeLogTriggers();
   } catch (err) {
-    console.error('Error during record polling:', err);
-  } finally {
-    pollingInProgress = false;
+    console.error('Error dropping stale change log triggers:', err);
   }
+
+  // Mark that we've completed the initial check and setup
+  isInitialCheckComplete = true;
+  console.log(`Change capture registry loaded: ${[...changeCaptureRegistry.keys()].join(', ') || '(no tables watched)'}`);
 }
 
-async function checkForNewFormSubmissions() {
+// Other instances add and remove runtime tables too; this brings the
+// registry in line with change_capture_tables
+async function syncRuntimeChangeCapture() {
   try {
-    // Get current tracked ID from database to ensure we're using the latest value
-    const [trackingRow] = await pool.query(`
-      SELECT last_processed_id FROM webhook_processed_records
-      WHERE table_name = 'form_submits'
-    `);
-    
-    if (trackingRow.length === 0) {
-      console.error('No tracking record found for form_submits');
-      return;
-    }
-    
-    const currentTrackedId = trackingRow[0].last_processed_id;
-    
-    // Check for new form submissions with ID greater than the tracked ID
-    const [newSubmissions] = await pool.query(`
-      SELECT * FROM form_submits
-      WHERE id > ?
-      ORDER BY id ASC
-      LIMIT 50
-    `, [currentTrackedId]);
-    
-    if (newSubmissions.length === 0) {
-      return;
-    }
-    
-    console.log(`Found ${newSubmissions.length} new form submissions to process (IDs > ${currentTrackedId})`);
-    
-    let highestProcessedId = currentTrackedId;
-    
-    for (const submission of newSubmissions) {
+    const fileConfig = require(path.resolve(CHANGE_CAPTURE_PATH));
+    const [runtimeRows] = await pool.query('SELECT table_name, config FROM change_capture_tables');
+    const runtimeTables = new Set(runtimeRows.map(row => row.table_name));
+
+    for (const row of runtimeRows) {
+      if (changeCaptureRegistry.has(row.table_name) || Object.prototype.hasOwnProperty.call(fileConfig, row.table_name)) {
+        continue;
+      }
       try {
-        if (submission.id > highestProcessedId) {
-          await sendWebhookNotification('form_submits', submission);
-          highestProcessedId = submission.id;
-          console.log(`Processed form submission ID: ${submission.id}`);
-        } else {
-          console.log(`Skipping already processed form submission ID: ${submission.id}`);
-        }
+        await registerChangeCapture(normalizeChangeCaptureConfig(row.table_name, JSON.parse(row.config)), 'runtime');
+        console.log(`Change capture added for ${row.table_name} (by another instance)`);
       } catch (err) {
-        console.error(`Failed to process form submission ID ${submission.id}:`, err);
-        // Continue with next submission even if this one fails
+        console.error(`Change capture for ${row.table_name} not started:`, err.message);
       }
     }
-    
-    // Only update the database if we actually processed new records
-    if (highestProcessedId > currentTrackedId) {
-      // Update our in-memory tracking
-      lastKnownFormSubmitId = highestProcessedId;
-      
-      // Update the tracking table after processing all submissions
-      await pool.query(`
-        UPDATE webhook_processed_records
-        SET last_processed_id = ?, last_check_time = CURRENT_TIMESTAMP
-        WHERE table_name = 'form_submits'
-      `, [highestProcessedId]);
-      
-      console.log(`Updated form_submits last processed ID to ${highestProcessedId}`);
+
+    for (const entry of [...changeCaptureRegistry.values()]) {
+      if (entry.source === 'runtime' && !runtimeTables.has(entry.tableName)) {
+        stopChangeCapture(entry);
+        changeCaptureRegistry.delete(entry.tableName);
+        console.log(`Change capture removed for ${entry.tableName} (by another instance)`);
+      }
     }
   } catch (err) {
-    console.error('Error checking for new form submissions:', err);
+    console.error('Error syncing runtime change capture tables:', err);
   }
 }
 
-async function checkForNewSubscribers() {
-  try {
-    // Get current tracked ID from database to ensure we're using the latest value
-    const [trackingRow] = await pool.query(`
-      SELECT last_processed_id FROM webhook_processed_records
-      WHERE table_name = 'subscribers'
-    `);
-    
-    if (trackingRow.length === 0) {
-      console.error('No tracking record found for subscribers');
-      return;
-    }
-    
-    const currentTrackedId = trackingRow[0].last_processed_id;
-    
-    // Check for new subscribers with ID greater than the tracked ID
-    const [newSubscribers] = await pool.query(`
-      SELECT * FROM subscribers
-      WHERE id > ?
-      ORDER BY id ASC
-      LIMIT 50
-    `, [currentTrackedId]);
-    
-    if (newSubscribers.length === 0) {
-      return;
-    }
-    
-    console.log(`Found ${newSubscribers.length} new subscribers to process (IDs > ${currentTrackedId})`);
-    
-    let highestProcessedId = currentTrackedId;
-    
-    for (const subscriber of newSubscribers) {
-      try {
-        if (subscriber.id > highestProcessedId) {
-          await sendWebhookNotification('subscribers', subscriber);
-          highestProcessedId = subscriber.id;
-          console.log(`Processed subscriber ID: ${subscriber.id}`);
-        } else {
-          console.log(`Skipping already processed subscriber ID: ${subscriber.id}`);
-        }
-      } catch (err) {
-        console.error(`Failed to process subscriber ID ${subscriber.id}:`, err);
-        // Continue with next subscriber even if this one fails
-      }
-    }
-    
-    // Only update the database if we actually processed new records
-    if (highestProcessedId > currentTrackedId) {
-      // Update our in-memory tracking
-      lastKnownSubscriberId = highestProcessedId;
-      
-      // Update the tracking table after processing all subscribers
-      await pool.query(`
-        UPDATE webhook_processed_records
-        SET last_processed_id = ?, last_check_time = CURRENT_TIMESTAMP
-        WHERE table_name = 'subscribers'
-      `, [highestProcessedId]);
-      
-      console.log(`Updated subscribers last processed ID to ${highestProcessedId}`);
-    }
-  } catch (err) {
-    console.error('Error checking for new subscribers:', err);
+function toChangeCaptureResponse(entry) {
+  return {
+    table: entry.tableName,
+    source: entry.source,
+    mode: entry.mode,
+    keyColumn: entry.keyColumn,
+    watchColumns: entry.watchColumns,
+    batchSize: entry.batchSize,
+    intervalSeconds: entry.intervalSeconds,
+    configuredIntervalSeconds: entry.configuredIntervalSeconds,
+    event: entry.event,
+    filter: entry.filter,
+    changeEvents: entry.changeEvents,
+    ignoreColumns: entry.ignoreColumns,
+    changeLogActive: entry.changeLogActive,
+    paused: entry.paused,
+    leaseHeld: entry.leaseHeld,
+    lastProcessedId: entry.lastProcessedId,
+    lastProcessedUpdatedAt: entry.lastProcessedUpdatedAt,
+    lastChangeLogId: entry.lastChangeLogId,
+    lastRunAt: entry.lastRunAt,
+    lastError: entry.lastError
+  };
+}
+
+function getLastProcessedId(tableName) {
+  const entry = changeCaptureRegistry.get(tableName);
+  return entry ? entry.lastProcessedId : null;
+}
+
+function startRecordPolling() {
+  recordPollingStarted = true;
+  changeCaptureRegistry.forEach(scheduleChangeCapture);
+
+  pruneChangeLog();
+  setInterval(pruneChangeLog, CHANGE_LOG_PRUNE_INTERVAL_MS);
+  pruneRecordEvents();
+  setInterval(pruneRecordEvents, CHANGE_LOG_PRUNE_INTERVAL_MS);
+  setInterval(syncRuntimeChangeCapture, RUNTIME_REGISTRY_SYNC_INTERVAL_MS);
+}
+
+function scheduleChangeCapture(entry) {
+  if (entry.timer) {
+    clearInterval(entry.timer);
+  }
+  // First immediate check, then one per interval
+  runChangeCapture(entry);
+  entry.timer = setInterval(() => runChangeCapture(entry), entry.intervalSeconds * 1000);
+}
+
+// Mirrors a tracking row's pause flag and interval override onto the entry,
+// restarting its timer when the interval changed
+function applyPollerSettings(entry, row) {
+  entry.paused = Boolean(row.paused);
+  const intervalSeconds = row.interval_seconds || entry.configuredIntervalSeconds;
+  if (intervalSeconds === entry.intervalSeconds) {
+    return;
+  }
+  entry.intervalSeconds = intervalSeconds;
+  if (entry.timer) {
+    clearInterval(entry.timer);
+    entry.timer = setInterval(() => runChangeCapture(entry), entry.intervalSeconds * 1000);
   }
+  console.log(`${entry.tableName} now polled every ${entry.intervalSeconds}s`);
 }
 
-async function checkForNewBlogComments() {
+function stopChangeCapture(entry) {
+  if (entry.timer) {
+    clearInterval(entry.timer);
+    entry.timer = null;
+  }
+}
+
+// One poll of one table; skipped while the previous one is still running
+// (avoids pile-up from overlapping cycles), while the poller is paused (unless
+// run by hand through /api/pollers) and when another instance holds the
+// table's lease. Resolves to what happened: ok, error, busy, paused or standby.
+async function runChangeCapture(entry, { manual = false } = {}) {
+  if (!isInitialCheckComplete || entry.running) {
+    return 'busy';
+  }
+
+  entry.running = true;
   try {
-    // Get current tracked ID from database to ensure we're using the latest value
-    const [trackingRow] = await pool.query(`
-      SELECT last_processed_id FROM webhook_processed_records
-      WHERE table_name = 'blog_comments'
-    `);
-    
-    if (trackingRow.length === 0) {
-      console.error('No tracking record found for blog_comments');
-      return;
+    // Pause and interval changes made on other instances are picked up here
+    const [settings] = await pool.query(
+      'SELECT paused, interval_seconds FROM webhook_processed_records WHERE table_name = ?',
+      [entry.tableName]
+    );
+    if (settings.length > 0) {
+      applyPollerSettings(entry, settings[0]);
     }
-    
-    const currentTrackedId = trackingRow[0].last_processed_id;
-    
-    // Check for new blog comments with ID greater than the tracked ID
-    const [newComments] = await pool.query(`
-      SELECT * FROM blog_comments
-      WHERE id > ?
-      ORDER BY id ASC
-      LIMIT 50
-    `, [currentTrackedId]);
-    
-    if (newComments.length === 0) {
-      return;
+    if (entry.paused && !manual) {
+      return 'paused';
     }
-    
-    console.log(`Found ${newComments.length} new blog comments to process (IDs > ${currentTrackedId})`);
-    
-    let highestProcessedId = currentTrackedId;
-    
-    for (const comment of newComments) {
-      try {
-        if (comment.id > highestProcessedId) {
-          await sendWebhookNotification('blog_comments', comment);
-          highestProcessedId = comment.id;
-          console.log(`Processed blog comment ID: ${comment.id}`);
-        } else {
-          console.log(`Skipping already processed blog comment ID: ${comment.id}`);
-        }
-      } catch (err) {
-        console.error(`Failed to process blog comment ID ${comment.id}:`, err);
-        // Continue with next comment even if this one fails
-      }
+
+    const leaseSeconds = Math.max(POLLER_LEASE_SECONDS, entry.intervalSeconds * 2);
+    const leaseHeld = await acquirePollerLease(getLeaseName(entry), leaseSeconds);
+    if (leaseHeld !== entry.leaseHeld) {
+      console.log(`${leaseHeld ? 'Acquired' : 'Lost'} the ${entry.tableName} poller lease (instance ${INSTANCE_ID})`);
+      entry.leaseHeld = leaseHeld;
     }
-    
-    // Only update the database if we actually processed new records
-    if (highestProcessedId > currentTrackedId) {
-      // Update our in-memory tracking
-      lastKnownBlogCommentId = highestProcessedId;
-      
-      // Update the tracking table after processing all comments
-      await pool.query(`
-        UPDATE webhook_processed_records
-        SET last_processed_id = ?, last_check_time = CURRENT_TIMESTAMP
-        WHERE table_name = 'blog_comments'
-      `, [highestProcessedId]);
-      
-      console.log(`Updated blog_comments last processed ID to ${highestProcessedId}`);
+    if (!leaseHeld) {
+      return 'standby';
+    }
+
+    if (entry.mode === 'changes') {
+      await captureChangedRecords(entry);
+    } else {
+      await captureNewRecords(entry);
+    }
+    if (entry.changeLogActive) {
+      await captureLoggedChanges(entry);
     }
+    entry.lastError = null;
+    return 'ok';
   } catch (err) {
-    console.error('Error checking for new blog comments:', err);
+    entry.lastError = err.message;
+    console.error(`Error checking ${entry.tableName} for changes:`, err);
+    return 'error';
+  } finally {
+    if (entry.leaseHeld) {
+      entry.lastRunAt = new Date();
+    }
+    entry.running = false;
   }
 }
 
-async function checkForBlogPostViewCountChanges() {
+// Queues a poll's events (fn) and moves the table's watermark to `to` in one
+// transaction. The watermark moves by compare-and-set from the values this
+// instance last read, so if another instance moved it first (after taking
+// over the lease) nothing is queued and this throws. Metrics and email follow
+// once the transaction has committed.
+async function commitCapture(entry, to, fn = null) {
+  const from = Object.keys(to).map(column => [column, entry[WATERMARK_FIELDS[column]]]);
+  const connection = await pool.getConnection();
+  const events = [];
+
   try {
-    // Get all current blog posts with their view counts
-    const [currentPosts] = await pool.query(`
-      SELECT id, view_count FROM blog_posts
-    `);
-    
-    const postsWithChangedViewCount = [];
-    
-    // Check for changes in view_count
-    for (const post of currentPosts) {
-      const previousViewCount = lastKnownBlogPostsState[post.id];
-      
-      // If this is a new post or the view_count has changed
-      if (previousViewCount === undefined || previousViewCount !== post.view_count) {
-        // Get full post details for the webhook
-        const [fullPostDetails] = await pool.query(`
-          SELECT * FROM blog_posts WHERE id = ?
-        `, [post.id]);
-        
-        if (fullPostDetails.length > 0) {
-          // Add change information
-          const postWithChange = fullPostDetails[0];
-          postWithChange._change_details = {
-            previous_view_count: previousViewCount === undefined ? 0 : previousViewCount,
-            new_view_count: post.view_count,
-            difference: previousViewCount === undefined ? post.view_count : post.view_count - previousViewCount
-          };
-          
-          postsWithChangedViewCount.push(postWithChange);
-          
-          // Update our tracking state
-          lastKnownBlogPostsState[post.id] = post.view_count;
-        }
-      }
-    }
-    
-    if (postsWithChangedViewCount.length === 0) {
-      return;
+    await connection.beginTransaction();
+    if (fn) {
+      await fn(connection, events);
     }
-    
-    console.log(`Found ${postsWithChangedViewCount.length} blog posts with changed view_count to process`);
-    
-    // Send webhook notifications for each changed post
-    for (const post of postsWithChangedViewCount) {
-      try {
-        await sendWebhookNotification('blog_posts_view_count_change', post);
-        console.log(`Successfully processed blog post ID: ${post.id} view_count change to ${post.view_count}`);
-      } catch (err) {
-        console.error(`Failed to process blog post ID ${post.id} view_count change:`, err);
-      }
+    const [result] = await connection.query(`
+      UPDATE webhook_processed_records SET ?, last_check_time = CURRENT_TIMESTAMP
+      WHERE table_name = ? AND ${from.map(() => '?? <=> ?').join(' AND ')}
+    `, [to, entry.tableName, ...from.flat()]);
+    if (result.affectedRows === 0) {
+      throw new Error(`${entry.tableName} watermark was moved by another instance`);
     }
-    
-    // Update the tracking table with current timestamp to show we checked
-    const highestBlogPostId = Math.max(...currentPosts.map(post => post.id), 0);
-    await pool.query(`
-      UPDATE webhook_processed_records
-      SET last_check_time = CURRENT_TIMESTAMP, last_processed_id = ?
-      WHERE table_name = 'blog_posts'
-    `, [highestBlogPostId]);
-    
+    await connection.commit();
   } catch (err) {
-    console.error('Error checking for blog post view_count changes:', err);
+    await connection.rollback().catch(() => {});
+    throw err;
+  } finally {
+    connection.release();
+  }
+
+  Object.entries(to).forEach(([column, value]) => {
+    entry[WATERMARK_FIELDS[column]] = value;
+  });
+  await finishWriteEvents(events);
+}
+
+async function queueCapturedEvent(connection, events, eventType, recordData, options) {
+  const eventId = await sendWebhookNotification(eventType, recordData, { ...options, db: connection });
+  if (eventId) {
+    events.push({ eventType, recordData });
   }
 }
 
-async function sendWebhookNotification(tableName, recordData) {
-  if (!POWER_AUTOMATE_WEBHOOK_URL) {
+async function captureNewRecords(entry) {
+  const { tableName, keyColumn } = entry;
+
+  // Get current tracked ID from database to ensure we're using the latest value
+  // (another instance may have moved it while this one didn't hold the lease)
+  const [trackingRow] = await pool.query(`
+    SELECT last_processed_id FROM webhook_processed_records
+    WHERE table_name = ?
+  `, [tableName]);
+
+  if (trackingRow.length === 0) {
+    throw new Error(`No tracking record found for ${tableName}`);
+  }
+
+  const currentTrackedId = trackingRow[0].last_processed_id;
+  entry.lastProcessedId = currentTrackedId;
+
+  // Check for new rows with a key greater than the tracked ID
+  const [newRecords] = await pool.query(`
+    SELECT * FROM ??
+    WHERE ?? > ?
+    ORDER BY ?? ASC
+    LIMIT ?
+  `, [tableName, keyColumn, currentTrackedId, keyColumn, entry.batchSize]);
+
+  if (newRecords.length === 0) {
     return;
   }
 
-  console.log(`Sending webhook notification for ${tableName} record ID: ${recordData.id}`);
+  console.log(`Found ${newRecords.length} new ${tableName} records to process (IDs > ${currentTrackedId})`);
 
-  try {
-    const notificationPayload = {
-      tableName,
-      recordDetails: recordData
-    };
+  // Filtered-out rows only move the watermark, together with the next record sent
+  let skippedTo = null;
 
-    const response = await axios.post(POWER_AUTOMATE_WEBHOOK_URL, notificationPayload, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 10000
-    });
+  for (const record of newRecords) {
+    const recordId = record[keyColumn];
+    if (!matchesRecordFilter(record, entry.filter)) {
+      console.log(`Skipping ${tableName} ID: ${recordId} (filtered out)`);
+      skippedTo = { last_processed_id: recordId };
+      continue;
+    }
 
-    console.log(`Webhook notification sent. Status: ${response.status}`);
-    return true;
-  } catch (error) {
-    // Log but don't throw — webhook failures should not break the polling loop
-    console.warn(
-      `Webhook notification failed (non-blocking):`,
-      error.response?.status || error.code,
-      error.response?.statusText || error.message
-    );
-    return false;
+    try {
+      // Shares its dedupe key with the create routes, which announce their rows themselves
+      await commitCapture(entry, { last_processed_id: recordId }, (connection, events) => queueCapturedEvent(
+        connection, events, entry.event, record, { tableName, dedupeKey: getCreatedEventKey(tableName, recordId) }
+      ));
+      skippedTo = null;
+      console.log(`Processed ${tableName} ID: ${recordId}`);
+    } catch (err) {
+      console.error(`Failed to process ${tableName} ID ${recordId}:`, err);
+      // Stop here so the watermark doesn't move past a record that was never queued
+      break;
+    }
+  }
+
+  if (skippedTo) {
+    await commitCapture(entry, skippedTo);
+  }
+  if (entry.lastProcessedId > currentTrackedId) {
+    console.log(`Updated ${tableName} last processed ID to ${entry.lastProcessedId}`);
   }
 }
 
-// Helper function to extract data from request body in different formats
-function extractDataFromRequest(req) {
-  // If req.body.body.$ exists as a string (test tab format)
-  if (req.body?.body?.$) {
-    const bodyContent = req.body.body.$;
-    if (typeof bodyContent === 'string') {
-      try {
-        return JSON.parse(bodyContent);
-      } catch (e) {
-        return bodyContent; // Return as is if not valid JSON
-      }
+// Changes mode: rows are found through updated_at rather than by reading the
+// whole table. The poller walks rows past an (updated_at, key) watermark kept
+// in webhook_processed_records and compares each with the watchColumns values
+// it last saw, kept in webhook_record_snapshots. Both survive a restart, so
+// changes made while the service was down still go out.
+
+// First run only: remember every row's current values and start the watermark
+// at the newest updated_at, so existing rows don't all fire
+async function initializeChangesWatermark(entry) {
+  const { tableName, keyColumn, watchColumns } = entry;
+  const snapshotSql = `JSON_OBJECT(${watchColumns.map(column => `'${column}', \`${column}\``).join(', ')})`;
+
+  await pool.query(`
+    INSERT INTO webhook_record_snapshots (table_name, record_id, data)
+    SELECT ?, ??, ${snapshotSql} FROM ??
+    ON DUPLICATE KEY UPDATE data = VALUES(data)
+  `, [tableName, keyColumn, tableName]);
+
+  const [latest] = await pool.query(`
+    SELECT updated_at, ?? AS record_id FROM ??
+    ORDER BY updated_at DESC, ?? DESC
+    LIMIT 1
+  `, [keyColumn, tableName, keyColumn]);
+  const watermark = latest[0] || { updated_at: new Date(0), record_id: 0 };
+  await saveChangesWatermark(entry, watermark.updated_at, watermark.record_id);
+  console.log(`Initialized ${tableName} change detection at ${watermark.updated_at.toISOString()} (ID ${watermark.record_id})`);
+}
+
+async function saveChangesWatermark(entry, updatedAt, id) {
+  await pool.query(`
+    INSERT INTO webhook_processed_records (table_name, last_processed_id, last_processed_updated_at)
+    VALUES (?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      last_processed_id = VALUES(last_processed_id),
+      last_processed_updated_at = VALUES(last_processed_updated_at),
+      last_check_time = CURRENT_TIMESTAMP
+  `, [entry.tableName, id, updatedAt]);
+  entry.lastProcessedId = id;
+  entry.lastProcessedUpdatedAt = updatedAt;
+}
+
+// Snapshots come back from JSON, so a watched value may not have the type
+// mysql2 gives the live column: dates are strings (ISO when written here,
+// "YYYY-MM-DD hh:mm:ss.ffffff" or "YYYY-MM-DD" from JSON_OBJECT) and DECIMALs
+// numbers or strings. Bring the snapshot value to the live type, then compare
+// as buildRowChangeDetails does.
+function hasWatchedValueChanged(before, after) {
+  if (before === undefined || before === null || after === null || after === undefined) {
+    return (before ?? null) !== (after ?? null);
+  }
+  if (after instanceof Date) {
+    const text = String(before);
+    // No zone in MySQL's format: read it as local time, as mysql2 does
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00` : text.replace(' ', 'T'));
+    return date.getTime() !== after.getTime();
+  }
+  if (typeof before === 'number' && typeof after === 'string') {
+    return before !== Number(after);
+  }
+  if (typeof before === 'string' && typeof after === 'number') {
+    return Number(before) !== after;
+  }
+  return JSON.stringify(before) !== JSON.stringify(after);
+}
+
+// previous_<column> / new_<column> for each watched column, plus the
+// difference when a single numeric column is watched (e.g. view_count)
+function buildChangeDetails(watchColumns, previous, record) {
+  const details = {};
+  for (const column of watchColumns) {
+    const before = previous ? previous[column] : undefined;
+    details[`previous_${column}`] = before === undefined ? (typeof record[column] === 'number' ? 0 : null) : before;
+    details[`new_${column}`] = record[column];
+  }
+  if (watchColumns.length === 1 && typeof record[watchColumns[0]] === 'number') {
+    details.difference = record[watchColumns[0]] - details[`previous_${watchColumns[0]}`];
+  }
+  return details;
+}
+
+async function captureChangedRecords(entry) {
+  const { tableName, keyColumn, watchColumns } = entry;
+
+  const [trackingRow] = await pool.query(`
+    SELECT last_processed_id, last_processed_updated_at FROM webhook_processed_records
+    WHERE table_name = ?
+  `, [tableName]);
+
+  if (trackingRow.length === 0 || !trackingRow[0].last_processed_updated_at) {
+    throw new Error(`No change detection watermark found for ${tableName}`);
+  }
+
+  const watermarkUpdatedAt = trackingRow[0].last_processed_updated_at;
+  const watermarkId = trackingRow[0].last_processed_id;
+  entry.lastProcessedUpdatedAt = watermarkUpdatedAt;
+  entry.lastProcessedId = watermarkId;
+
+  // Rows touched since the watermark, in the order they were touched
+  const [changedRecords] = await pool.query(`
+    SELECT * FROM ??
+    WHERE (updated_at > ? OR (updated_at = ? AND ?? > ?))
+      AND updated_at <= DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+    ORDER BY updated_at ASC, ?? ASC
+    LIMIT ?
+  `, [tableName, watermarkUpdatedAt, watermarkUpdatedAt, keyColumn, watermarkId, CHANGE_SETTLE_SECONDS, keyColumn, entry.batchSize]);
+
+  if (changedRecords.length === 0) {
+    await pool.query(`
+      UPDATE webhook_processed_records SET last_check_time = CURRENT_TIMESTAMP
+      WHERE table_name = ?
+    `, [tableName]);
+    return;
+  }
+
+  const [snapshotRows] = await pool.query(`
+    SELECT record_id, data FROM webhook_record_snapshots
+    WHERE table_name = ? AND record_id IN (?)
+  `, [tableName, changedRecords.map(record => record[keyColumn])]);
+  const snapshots = new Map(snapshotRows.map(row => [Number(row.record_id), JSON.parse(row.data)]));
+
+  let changedCount = 0;
+  // Rows with nothing to write only move the watermark, together with the next change
+  let skippedTo = null;
+
+  for (const record of changedRecords) {
+    const recordId = record[keyColumn];
+    const previous = snapshots.get(Number(recordId));
+    const watermark = { last_processed_updated_at: record.updated_at, last_processed_id: recordId };
+
+    // New rows and rows whose watched columns changed fire; other edits only move the watermark
+    const changed = !previous || watchColumns.some(column => hasWatchedValueChanged(previous[column], record[column]));
+    if (!changed) {
+      skippedTo = watermark;
+      continue;
+    }
+
+    try {
+      const matched = matchesRecordFilter(record, entry.filter);
+      await commitCapture(entry, watermark, async (connection, events) => {
+        if (matched) {
+          record._change_details = buildChangeDetails(watchColumns, previous, record);
+          await queueCapturedEvent(connection, events, entry.event, record, { tableName });
+        }
+        await connection.query(`
+          INSERT INTO webhook_record_snapshots (table_name, record_id, data)
+          VALUES (?, ?, ?)
+          ON DUPLICATE KEY UPDATE data = VALUES(data)
+        `, [tableName, recordId, JSON.stringify(Object.fromEntries(watchColumns.map(column => [column, record[column]])))]);
+      });
+      skippedTo = null;
+      if (matched) {
+        changedCount++;
+        console.log(`Processed ${tableName} ID: ${recordId} change to ${watchColumns.map(column => `${column}=${record[column]}`).join(', ')}`);
+      }
+    } catch (err) {
+      console.error(`Failed to process ${tableName} ID ${recordId} change:`, err);
+      // Stop here so the watermark doesn't move past a change that was never queued
+      break;
+    }
+  }
+
+  if (skippedTo) {
+    await commitCapture(entry, skippedTo);
+  }
+  if (changedCount > 0) {
+    console.log(`Processed ${changedCount} ${tableName} change(s) out of ${changedRecords.length} updated rows`);
+  }
+}
+
+// --- Poller leases ---
+// With several instances running, each watched table is polled only by the
+// instance holding its row in poller_leases. A lease is taken or renewed at
+// the start of every poll and lasts POLLER_LEASE_SECONDS (at least two poll
+// intervals); if its holder stops renewing it, whichever instance polls next
+// after it expires takes over. The lease only decides who polls: watermarks
+// still move by compare-and-set (see commitCapture), so an instance that lost
+// its lease mid-batch can't send what another has already sent.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const POLLER_LEASE_SECONDS = parseInt(process.env.POLLER_LEASE_SECONDS || '60', 10);
+
+async function createPollerLeasesTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS poller_leases (
+        lease_name VARCHAR(100) NOT NULL PRIMARY KEY,
+        holder VARCHAR(255) NOT NULL,
+        acquired_at DATETIME(3) NOT NULL,
+        renewed_at DATETIME(3) NOT NULL,
+        expires_at DATETIME(3) NOT NULL
+      )
+    `);
+    console.log('Poller leases table created successfully');
+  } catch (err) {
+    console.error('Error creating poller leases table:', err);
+  }
+}
+
+function getLeaseName(entry) {
+  return `change_capture:${entry.tableName}`;
+}
+
+// Takes the lease if it's free or expired, renews it if this instance already
+// holds it; true when this instance holds it afterwards. The assignments run
+// in order, so holder is decided first against the old expiry.
+async function acquirePollerLease(leaseName, seconds) {
+  await pool.query(`
+    INSERT INTO poller_leases (lease_name, holder, acquired_at, renewed_at, expires_at)
+    VALUES (?, ?, NOW(3), NOW(3), NOW(3) + INTERVAL ? SECOND)
+    ON DUPLICATE KEY UPDATE
+      holder = IF(holder = VALUES(holder) OR expires_at < NOW(3), VALUES(holder), holder),
+      acquired_at = IF(holder = VALUES(holder) AND expires_at < NOW(3), VALUES(acquired_at), acquired_at),
+      renewed_at = IF(holder = VALUES(holder), VALUES(renewed_at), renewed_at),
+      expires_at = IF(holder = VALUES(holder), VALUES(expires_at), expires_at)
+  `, [leaseName, INSTANCE_ID, seconds]);
+
+  const [rows] = await pool.query('SELECT holder FROM poller_leases WHERE lease_name = ?', [leaseName]);
+  return rows.length > 0 && rows[0].holder === INSTANCE_ID;
+}
+
+// On shutdown, so another instance can take over without waiting for expiry
+async function releasePollerLeases() {
+  try {
+    const [result] = await pool.query('DELETE FROM poller_leases WHERE holder = ?', [INSTANCE_ID]);
+    console.log(`Released ${result.affectedRows} poller lease(s)`);
+  } catch (err) {
+    console.error('Error releasing poller leases:', err);
+  }
+}
+
+async function getPollerLeases() {
+  const [rows] = await pool.query(`
+    SELECT lease_name, holder, acquired_at, renewed_at, expires_at, expires_at < NOW(3) AS expired
+    FROM poller_leases
+    ORDER BY lease_name
+  `);
+  return rows.map(row => ({
+    lease: row.lease_name,
+    holder: row.holder,
+    self: row.holder === INSTANCE_ID,
+    acquiredAt: row.acquired_at,
+    renewedAt: row.renewed_at,
+    expiresAt: row.expires_at,
+    expired: Boolean(row.expired)
+  }));
+}
+
+// --- Poller control ---
+// Admin controls for the pollers above, through /api/pollers. Pauses and
+// interval overrides live on the table's tracking row, so they survive a
+// restart and reach the other instances on their next poll. A rewind moves the
+// persisted watermark; a poll another instance has in flight then fails its
+// compare-and-set and starts over from the new position.
+
+function getChangeCaptureEntry(tableName) {
+  const entry = changeCaptureRegistry.get(tableName);
+  if (!entry) {
+    throw httpError(404, 'Table is not watched');
+  }
+  return entry;
+}
+
+// What the poller is doing as seen from this instance
+function getPollerStatus(entry, lease) {
+  if (entry.paused) {
+    return 'paused';
+  }
+  if (entry.running) {
+    return 'running';
+  }
+  if (lease && !lease.self && !lease.expired) {
+    return 'standby';
+  }
+  return entry.lastError ? 'failing' : 'idle';
+}
+
+// Rows past the table's watermark and change log rows past its position that
+// are still to be read (those written through the API are skipped anyway)
+async function getPollerLag(entry, tracking) {
+  const [[rows]] = entry.mode === 'changes'
+    ? await pool.query(`
+        SELECT COUNT(*) AS count FROM ??
+        WHERE updated_at > ? OR (updated_at = ? AND ?? > ?)
+      `, [entry.tableName, tracking.last_processed_updated_at, tracking.last_processed_updated_at, entry.keyColumn, tracking.last_processed_id])
+    : await pool.query('SELECT COUNT(*) AS count FROM ?? WHERE ?? > ?', [entry.tableName, entry.keyColumn, tracking.last_processed_id]);
+
+  let pendingChanges = null;
+  if (entry.changeLogActive) {
+    const [[changes]] = await pool.query(`
+      SELECT COUNT(*) AS count FROM record_change_log
+      WHERE table_name = ? AND id > ? AND source <> 'api'
+    `, [entry.tableName, tracking.last_change_log_id]);
+    pendingChanges = changes.count;
+  }
+  return { pendingRows: rows.count, pendingChanges };
+}
+
+// Watermarks come from the tracking rows rather than the entries, which an
+// instance without the lease doesn't keep up to date
+async function describePollers(entries) {
+  const [trackingRows] = await pool.query('SELECT * FROM webhook_processed_records');
+  const tracking = new Map(trackingRows.map(row => [row.table_name, row]));
+  const leases = new Map((await getPollerLeases()).map(lease => [lease.lease, lease]));
+
+  const pollers = [];
+  for (const entry of entries) {
+    const row = tracking.get(entry.tableName);
+    const lease = leases.get(getLeaseName(entry)) || null;
+    pollers.push({
+      table: entry.tableName,
+      source: entry.source,
+      mode: entry.mode,
+      status: getPollerStatus(entry, lease),
+      paused: entry.paused,
+      intervalSeconds: entry.intervalSeconds,
+      configuredIntervalSeconds: entry.configuredIntervalSeconds,
+      lease: lease && { holder: lease.holder, self: lease.self, renewedAt: lease.renewedAt, expiresAt: lease.expiresAt },
+      lastProcessedId: row ? row.last_processed_id : null,
+      lastProcessedUpdatedAt: row ? row.last_processed_updated_at : null,
+      lastChangeLogId: row ? row.last_change_log_id : null,
+      lastCheckTime: row ? row.last_check_time : null,
+      lastRunAt: entry.lastRunAt,
+      lastError: entry.lastError,
+      lag: row ? await getPollerLag(entry, row) : null
+    });
+  }
+  return pollers;
+}
+
+async function describePoller(entry) {
+  const [poller] = await describePollers([entry]);
+  return poller;
+}
+
+async function setPollerPaused(entry, paused) {
+  await pool.query('UPDATE webhook_processed_records SET paused = ? WHERE table_name = ?', [paused, entry.tableName]);
+  entry.paused = paused;
+  console.log(`${entry.tableName} poller ${paused ? 'paused' : 'resumed'}`);
+}
+
+// null goes back to the interval from the table's entry
+async function setPollerInterval(entry, intervalSeconds) {
+  if (intervalSeconds !== null && (!Number.isInteger(intervalSeconds) || intervalSeconds < 1)) {
+    throw httpError(400, 'intervalSeconds must be a positive integer, or null for the configured interval');
+  }
+  await pool.query('UPDATE webhook_processed_records SET interval_seconds = ? WHERE table_name = ?', [intervalSeconds, entry.tableName]);
+  applyPollerSettings(entry, { paused: entry.paused, interval_seconds: intervalSeconds });
+}
+
+// Where a rewind leaves the watermark: after the row with key toId, or before
+// the rows written since toTimestamp (created_at in inserts mode, updated_at in
+// changes mode); with neither, at the newest row. A timestamp (or neither)
+// moves the change log position too; an id leaves it alone.
+async function resolveRewindPosition(entry, { toId, toTimestamp }) {
+  const { tableName, keyColumn } = entry;
+  if (toId !== undefined && toTimestamp !== undefined) {
+    throw httpError(400, 'Give toId or toTimestamp, not both');
+  }
+  if (toId !== undefined && (!Number.isInteger(toId) || toId < 0)) {
+    throw httpError(400, 'toId must be a non-negative integer');
+  }
+  const since = toTimestamp === undefined ? null : new Date(toTimestamp);
+  if (since && (typeof toTimestamp !== 'string' || isNaN(since.getTime()))) {
+    throw httpError(400, 'toTimestamp must be an ISO 8601 date');
+  }
+
+  const to = {};
+  if (entry.mode === 'changes' && since) {
+    to.last_processed_updated_at = since;
+    to.last_processed_id = 0;
+  } else if (entry.mode === 'changes') {
+    const [rows] = toId === undefined
+      ? await pool.query('SELECT ?? AS record_id, updated_at FROM ?? ORDER BY updated_at DESC, ?? DESC LIMIT 1', [keyColumn, tableName, keyColumn])
+      : await pool.query('SELECT ?? AS record_id, updated_at FROM ?? WHERE ?? = ?', [keyColumn, tableName, keyColumn, toId]);
+    if (rows.length === 0) {
+      throw httpError(toId === undefined ? 409 : 404, toId === undefined ? `${tableName} has no rows` : `${tableName} has no row with ${keyColumn} ${toId}`);
+    }
+    to.last_processed_updated_at = rows[0].updated_at;
+    to.last_processed_id = rows[0].record_id;
+  } else if (since) {
+    const schema = await getTableSchema(tableName);
+    if (!schema.columnNames.includes('created_at')) {
+      throw httpError(400, `${tableName} has no created_at column; rewind it by toId`);
+    }
+    const [rows] = await pool.query('SELECT COALESCE(MAX(??), 0) AS id FROM ?? WHERE created_at < ?', [keyColumn, tableName, since]);
+    to.last_processed_id = rows[0].id;
+  } else if (toId === undefined) {
+    const [rows] = await pool.query('SELECT COALESCE(MAX(??), 0) AS id FROM ??', [keyColumn, tableName]);
+    to.last_processed_id = rows[0].id;
+  } else {
+    to.last_processed_id = toId;
+  }
+
+  if (toId === undefined) {
+    const [rows] = await pool.query(`
+      SELECT COALESCE(MAX(id), 0) AS id FROM record_change_log
+      WHERE table_name = ?${since ? ' AND created_at < ?' : ''}
+    `, since ? [tableName, since] : [tableName]);
+    to.last_change_log_id = rows[0].id;
+  }
+  return to;
+}
+
+// Moves a table's watermark (see resolveRewindPosition) in the database and
+// in memory together. Rows past the new position are sent again: the dedupe
+// keys of their created events are released. In changes mode a row only fires
+// again if its watchColumns differ from the values last seen.
+async function rewindChangeCapture(entry, position) {
+  if (entry.running) {
+    throw httpError(409, `A poll of ${entry.tableName} is in progress, try again shortly`);
+  }
+  // Holds off this instance's polls until the new position is in place: one
+  // starting in between would compare-and-set from it and undo the rewind
+  entry.running = true;
+  let connection;
+
+  try {
+    const to = await resolveRewindPosition(entry, position);
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const [result] = await connection.query(`
+      UPDATE webhook_processed_records SET ?, last_check_time = CURRENT_TIMESTAMP
+      WHERE table_name = ?
+    `, [to, entry.tableName]);
+    if (result.affectedRows === 0) {
+      throw httpError(404, `No tracking record found for ${entry.tableName}`);
+    }
+    if (entry.mode === 'inserts') {
+      await connection.query(`
+        UPDATE record_events SET dedupe_key = NULL
+        WHERE table_name = ? AND dedupe_key = CONCAT(?, record_id) AND record_id + 0 > ?
+      `, [entry.tableName, getCreatedEventKey(entry.tableName, ''), to.last_processed_id]);
+    }
+    await connection.commit();
+
+    Object.entries(to).forEach(([column, value]) => {
+      entry[WATERMARK_FIELDS[column]] = value;
+    });
+    console.log(`Rewound ${entry.tableName} to ${JSON.stringify(to)}`);
+    return to;
+  } catch (err) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+    }
+    throw err;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+    entry.running = false;
+  }
+}
+
+// --- Update and delete capture ---
+// The pollers above only see new rows (or watched columns). For tables whose
+// entry lists changeEvents, this service installs AFTER UPDATE / AFTER DELETE
+// triggers that copy the row before and after into record_change_log, and the
+// table's poll reads that log past last_change_log_id. Triggers are generated
+// from the table's current columns and re-created when those change. Each row
+// records where the write came from: the API write routes set the session
+// variable below while they write, everything else logs as "database".
+const CHANGE_EVENT_ACTIONS = ['updated', 'deleted'];
+const CHANGE_LOG_TRIGGER_PREFIX = 'cc_';
+const CHANGE_SOURCE_VARIABLE = '@chemican_change_source';
+const CHANGE_LOG_RETENTION_DAYS = parseInt(process.env.CHANGE_LOG_RETENTION_DAYS || '7', 10);
+const CHANGE_LOG_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+async function createChangeLogTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS record_change_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        table_name VARCHAR(100) NOT NULL,
+        record_id BIGINT NOT NULL,
+        action ENUM('update', 'delete') NOT NULL,
+        old_data LONGTEXT NOT NULL,
+        new_data LONGTEXT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'database',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_table_id (table_name, id),
+        INDEX idx_created_at (created_at)
+      )
+    `);
+    await addColumnIfMissing('record_change_log', 'source', "VARCHAR(20) NOT NULL DEFAULT 'database' AFTER new_data");
+    await addColumnIfMissing('webhook_processed_records', 'last_change_log_id', 'BIGINT NOT NULL DEFAULT 0');
+    console.log('Record change log table created successfully');
+  } catch (err) {
+    console.error('Error creating record change log table:', err);
+  }
+}
+
+function getChangeLogTriggerName(tableName, action) {
+  return `${CHANGE_LOG_TRIGGER_PREFIX}${tableName}_after_${action}`;
+}
+
+// Trigger bodies for a table, keyed by trigger name. Only columns that are
+// plain identifiers are copied; ignoreColumns are copied but changes to them
+// alone don't log an update.
+function buildChangeLogTriggers(entry, columnNames) {
+  const columns = columnNames.filter(column => IDENTIFIER_PATTERN.test(column));
+  const compared = columns.filter(column => !entry.ignoreColumns.includes(column));
+  const rowJson = alias => `JSON_OBJECT(${columns.map(column => `'${column}', ${alias}.\`${column}\``).join(', ')})`;
+  const source = `COALESCE(${CHANGE_SOURCE_VARIABLE}, 'database')`;
+  const triggers = {};
+
+  if (entry.changeEvents.includes('updated') && compared.length > 0) {
+    triggers[getChangeLogTriggerName(entry.tableName, 'update')] = {
+      timing: 'AFTER UPDATE',
+      body: `BEGIN
+  IF NOT (${compared.map(column => `OLD.\`${column}\` <=> NEW.\`${column}\``).join(' AND ')}) THEN
+    INSERT INTO record_change_log (table_name, record_id, action, old_data, new_data, source)
+    VALUES ('${entry.tableName}', NEW.\`${entry.keyColumn}\`, 'update', ${rowJson('OLD')}, ${rowJson('NEW')}, ${source});
+  END IF;
+END`
+    };
+  }
+  if (entry.changeEvents.includes('deleted')) {
+    triggers[getChangeLogTriggerName(entry.tableName, 'delete')] = {
+      timing: 'AFTER DELETE',
+      body: `BEGIN
+  INSERT INTO record_change_log (table_name, record_id, action, old_data, new_data, source)
+  VALUES ('${entry.tableName}', OLD.\`${entry.keyColumn}\`, 'delete', ${rowJson('OLD')}, NULL, ${source});
+END`
+    };
+  }
+  return triggers;
+}
+
+async function getInstalledChangeLogTriggers(tableName = null) {
+  const [rows] = await pool.query(`
+    SELECT TRIGGER_NAME AS name, EVENT_OBJECT_TABLE AS table_name, ACTION_STATEMENT AS body
+    FROM information_schema.TRIGGERS
+    WHERE TRIGGER_SCHEMA = DATABASE() AND TRIGGER_NAME LIKE ?
+      AND (? IS NULL OR EVENT_OBJECT_TABLE = ?)
+  `, [`${CHANGE_LOG_TRIGGER_PREFIX.replace(/_/g, '\\_')}%`, tableName, tableName]);
+  return rows;
+}
+
+// Brings a table's triggers in line with its entry: creates missing or
+// outdated ones and drops the ones it no longer needs. Returns false when
+// triggers can't be created (e.g. no TRIGGER privilege).
+async function syncChangeLogTriggers(entry) {
+  const schema = await getTableSchema(entry.tableName);
+  const wanted = entry.changeEvents.length > 0 ? buildChangeLogTriggers(entry, schema.columnNames) : {};
+
+  try {
+    const installed = await getInstalledChangeLogTriggers(entry.tableName);
+    for (const trigger of installed) {
+      if (!wanted[trigger.name]) {
+        await pool.query(`DROP TRIGGER IF EXISTS \`${trigger.name}\``);
+        console.log(`Dropped change log trigger ${trigger.name}`);
+      }
+    }
+
+    for (const [name, { timing, body }] of Object.entries(wanted)) {
+      const current = installed.find(trigger => trigger.name === name);
+      if (current && current.body.trim() === body) {
+        continue;
+      }
+      await pool.query(`DROP TRIGGER IF EXISTS \`${name}\``);
+      await pool.query(`CREATE TRIGGER \`${name}\` ${timing} ON \`${entry.tableName}\` FOR EACH ROW ${body}`);
+      console.log(`Installed change log trigger ${name}`);
+    }
+    return true;
+  } catch (err) {
+    console.error(`Update/delete capture for ${entry.tableName} disabled, triggers could not be installed:`, err.message);
+    return false;
+  }
+}
+
+// Drops triggers left behind by tables that are no longer watched
+async function dropStaleChangeLogTriggers() {
+  for (const trigger of await getInstalledChangeLogTriggers()) {
+    if (!changeCaptureRegistry.has(trigger.table_name)) {
+      await pool.query(`DROP TRIGGER IF EXISTS \`${trigger.name}\``);
+      console.log(`Dropped change log trigger ${trigger.name}`);
+    }
+  }
+}
+
+// action plus previous_<column> / new_<column> for each column that changed
+function buildRowChangeDetails(action, before, after) {
+  const details = { action, changed_columns: [] };
+  if (!after) {
+    return details;
+  }
+  for (const column of Object.keys(after)) {
+    if (JSON.stringify(before[column]) !== JSON.stringify(after[column])) {
+      details.changed_columns.push(column);
+      details[`previous_${column}`] = before[column] === undefined ? null : before[column];
+      details[`new_${column}`] = after[column];
+    }
+  }
+  return details;
+}
+
+// Sends <table>.updated / <table>.deleted events from the change log
+async function captureLoggedChanges(entry) {
+  const { tableName } = entry;
+
+  const [trackingRow] = await pool.query(`
+    SELECT last_change_log_id FROM webhook_processed_records
+    WHERE table_name = ?
+  `, [tableName]);
+  if (trackingRow.length === 0) {
+    throw new Error(`No tracking record found for ${tableName}`);
+  }
+  entry.lastChangeLogId = trackingRow[0].last_change_log_id;
+
+  const [changes] = await pool.query(`
+    SELECT * FROM record_change_log
+    WHERE table_name = ? AND id > ?
+    ORDER BY id ASC
+    LIMIT ?
+  `, [tableName, entry.lastChangeLogId, entry.batchSize]);
+
+  if (changes.length === 0) {
+    return;
+  }
+
+  // Changes that send nothing only move the position, together with the next one sent
+  let skippedTo = null;
+
+  for (const change of changes) {
+    const action = change.action === 'delete' ? 'deleted' : 'updated';
+    const position = { last_change_log_id: change.id };
+
+    // Writes through /api/tables queued their own event in the same transaction
+    if (change.source === 'api' || !entry.changeEvents.includes(action)) {
+      if (change.source === 'api') {
+        console.log(`Skipping ${tableName} ID: ${change.record_id} ${action} (sent by the API)`);
+      }
+      skippedTo = position;
+      continue;
+    }
+
+    // A change to a row whose created event hasn't gone out yet waits for it.
+    // If the row is gone, the insert poller will never see it, so the change
+    // is passed over rather than holding up the rest of the log.
+    if (entry.mode === 'inserts' && change.record_id > entry.lastProcessedId) {
+      const [rows] = await pool.query('SELECT 1 FROM ?? WHERE ?? = ? LIMIT 1', [tableName, entry.keyColumn, change.record_id]);
+      if (rows.length > 0) {
+        break;
+      }
+      console.log(`Skipping ${tableName} ID: ${change.record_id} ${action} (row removed before it was announced)`);
+      skippedTo = position;
+      continue;
+    }
+
+    try {
+      const before = JSON.parse(change.old_data);
+      const after = change.new_data ? JSON.parse(change.new_data) : null;
+      const recordData = { ...(after || before), _change_details: buildRowChangeDetails(action, before, after) };
+      await commitCapture(entry, position, (connection, events) => queueCapturedEvent(
+        connection, events, `${tableName}.${action}`, recordData, { tableName }
+      ));
+      skippedTo = null;
+      console.log(`Processed ${tableName} ID: ${change.record_id} ${action}`);
+    } catch (err) {
+      console.error(`Failed to process ${tableName} ID ${change.record_id} ${action}:`, err);
+      // Stop here so the position doesn't move past a change that was never queued
+      break;
+    }
+  }
+
+  if (skippedTo) {
+    await commitCapture(entry, skippedTo);
+  }
+}
+
+async function pruneChangeLog() {
+  try {
+    const [result] = await pool.query(`
+      DELETE FROM record_change_log
+      WHERE created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+    `, [CHANGE_LOG_RETENTION_DAYS]);
+    if (result.affectedRows > 0) {
+      console.log(`Pruned ${result.affectedRows} change log row(s) older than ${CHANGE_LOG_RETENTION_DAYS} days`);
+    }
+  } catch (err) {
+    console.error('Error pruning change log:', err);
+  }
+}
+
+// --- Schema migrations ---
+// CREATE TABLE IF NOT EXISTS doesn't touch tables that already exist, so
+// columns added after a table first shipped go through here
+async function addColumnIfMissing(tableName, columnName, definition) {
+  const [rows] = await pool.query(`
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [tableName, columnName]);
+
+  if (rows.length > 0) {
+    return false;
+  }
+
+  await pool.query(`ALTER TABLE ${tableName} ADD COLUMN \`${columnName}\` ${definition}`);
+  clearTableSchemaCache(tableName);
+  console.log(`Added column ${tableName}.${columnName}`);
+  return true;
+}
+
+async function addIndexIfMissing(tableName, indexName, columns) {
+  const [rows] = await pool.query(`
+    SELECT 1 FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+    LIMIT 1
+  `, [tableName, indexName]);
+
+  if (rows.length > 0) {
+    return false;
+  }
+
+  await pool.query(`ALTER TABLE ${tableName} ADD INDEX \`${indexName}\` (${columns.map(column => `\`${column}\``).join(', ')})`);
+  console.log(`Added index ${tableName}.${indexName}`);
+  return true;
+}
+
+// --- Webhook subscriptions ---
+// Each subscription receives the event types it lists, optionally narrowed by
+// field filters, at its own URL with its own headers. POWER_AUTOMATE_WEBHOOK_URL
+// still works as an implicit subscription to every event (subscription_id NULL).
+const SUBSCRIPTION_CACHE_TTL_MS = 30 * 1000;
+const EVENT_TYPE_PATTERN = /^(\*|[a-zA-Z0-9_]+(\.(created|updated|deleted|\*))?)$/;
+let subscriptionCache = null; // { subscriptions, loadedAt }
+
+async function createWebhookSubscriptionsTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        target_url VARCHAR(2048) NOT NULL,
+        event_types TEXT NOT NULL,
+        filters TEXT NULL,
+        headers TEXT NULL,
+        secret VARCHAR(100) NULL,
+        previous_secret VARCHAR(100) NULL,
+        previous_secret_expires_at DATETIME NULL,
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Every subscription signs its deliveries; give older ones a secret
+    await addColumnIfMissing('webhook_subscriptions', 'secret', 'VARCHAR(100) NULL AFTER headers');
+    await addColumnIfMissing('webhook_subscriptions', 'previous_secret', 'VARCHAR(100) NULL AFTER secret');
+    await addColumnIfMissing('webhook_subscriptions', 'previous_secret_expires_at', 'DATETIME NULL AFTER previous_secret');
+    const [unsigned] = await pool.query('SELECT id FROM webhook_subscriptions WHERE secret IS NULL');
+    for (const { id } of unsigned) {
+      await pool.query('UPDATE webhook_subscriptions SET secret = ? WHERE id = ?', [generateWebhookSecret(), id]);
+    }
+
+    console.log('Webhook subscriptions table created successfully');
+  } catch (err) {
+    console.error('Error creating webhook subscriptions table:', err);
+  }
+}
+
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+// The signing secret is only included when a subscription is created or its secret rotated
+function toSubscription(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    targetUrl: row.target_url,
+    eventTypes: JSON.parse(row.event_types),
+    filters: row.filters ? JSON.parse(row.filters) : null,
+    headers: row.headers ? JSON.parse(row.headers) : {},
+    isActive: Boolean(row.is_active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getActiveSubscriptions() {
+  if (subscriptionCache && Date.now() - subscriptionCache.loadedAt < SUBSCRIPTION_CACHE_TTL_MS) {
+    return subscriptionCache.subscriptions;
+  }
+  const [rows] = await pool.query('SELECT * FROM webhook_subscriptions WHERE is_active = 1 ORDER BY id ASC');
+  const subscriptions = rows.map(toSubscription);
+  subscriptionCache = { subscriptions, loadedAt: Date.now() };
+  return subscriptions;
+}
+
+function invalidateSubscriptionCache() {
+  subscriptionCache = null;
+}
+
+// `*` matches everything, `blog_posts.*` matches every blog_posts.<action> event.
+// A bare table name is what new-record events were called before they were
+// typed, so it still matches <table>.created.
+function matchesEventType(subscribedTypes, eventType) {
+  return subscribedTypes.some(type => {
+    if (type === '*' || type === eventType || `${type}.created` === eventType) {
+      return true;
+    }
+    return type.endsWith('.*') && eventType.startsWith(type.slice(0, -1));
+  });
+}
+
+function likePatternToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, 'i');
+}
+
+// In-memory counterpart of FILTER_OPERATORS for subscription filters, e.g.
+// { "form_type": "contact" } or { "form_type": { "in": ["contact", "quote"] } }
+const RECORD_FILTER_OPERATORS = {
+  eq: (actual, expected) => String(actual) === String(expected),
+  ne: (actual, expected) => String(actual) !== String(expected),
+  gt: (actual, expected) => actual !== null && actual > expected,
+  gte: (actual, expected) => actual !== null && actual >= expected,
+  lt: (actual, expected) => actual !== null && actual < expected,
+  lte: (actual, expected) => actual !== null && actual <= expected,
+  in: (actual, expected) => toFilterList(expected).includes(String(actual)),
+  like: (actual, expected) => actual !== null && likePatternToRegExp(expected).test(String(actual)),
+  is_null: (actual, expected) => (actual === null || actual === undefined) === (String(expected) === 'true' || expected === true),
+  between: (actual, expected) => {
+    const [low, high] = toFilterList(expected);
+    return actual !== null && actual >= low && actual <= high;
+  }
+};
+
+// Own keys only: inherited names like constructor or hasOwnProperty are not operators
+function isRecordFilterOperator(operator) {
+  return Object.prototype.hasOwnProperty.call(RECORD_FILTER_OPERATORS, operator);
+}
+
+function matchesRecordFilter(record, filters) {
+  if (!filters) {
+    return true;
+  }
+  return Object.entries(filters).every(([column, condition]) => {
+    const conditions = typeof condition === 'object' && condition !== null && !Array.isArray(condition)
+      ? Object.entries(condition)
+      : [['eq', condition]];
+    const actual = record[column] === undefined ? null : record[column];
+    return conditions.every(([operator, expected]) => isRecordFilterOperator(operator) && RECORD_FILTER_OPERATORS[operator](actual, expected));
+  });
+}
+
+function validateRecordFilters(filters, label = 'filters') {
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw httpError(400, `${label} must be an object of column conditions`);
+  }
+  for (const [column, condition] of Object.entries(filters)) {
+    const operators = typeof condition === 'object' && condition !== null && !Array.isArray(condition)
+      ? Object.keys(condition)
+      : ['eq'];
+    const unknown = operators.filter(op => !isRecordFilterOperator(op));
+    if (unknown.length > 0) {
+      throw httpError(400, `Unknown filter operator(s) for ${column}: ${unknown.join(', ')}`);
+    }
+  }
+}
+
+// Validate a subscription create/update body. With partial, missing fields are left alone.
+function parseSubscriptionInput(body, { partial = false } = {}) {
+  const input = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || typeof body.name !== 'string' || body.name.length > 100) {
+      throw httpError(400, 'name is required (max 100 characters)');
+    }
+    input.name = body.name;
+  }
+
+  if (body.targetUrl !== undefined || !partial) {
+    if (typeof body.targetUrl !== 'string' || !/^https?:\/\/\S+$/i.test(body.targetUrl)) {
+      throw httpError(400, 'targetUrl must be an http(s) URL');
+    }
+    input.target_url = body.targetUrl;
+  }
+
+  if (body.eventTypes !== undefined || !partial) {
+    const eventTypes = body.eventTypes;
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+      throw httpError(400, 'eventTypes must be a non-empty array');
+    }
+    const invalid = eventTypes.filter(type => typeof type !== 'string' || !EVENT_TYPE_PATTERN.test(type));
+    if (invalid.length > 0) {
+      throw httpError(400, `Invalid event type(s): ${invalid.join(', ')}`);
+    }
+    input.event_types = JSON.stringify(eventTypes);
+  }
+
+  if (body.filters !== undefined) {
+    if (body.filters !== null) {
+      validateRecordFilters(body.filters);
+    }
+    input.filters = body.filters === null ? null : JSON.stringify(body.filters);
+  }
+
+  if (body.headers !== undefined) {
+    const headers = body.headers || {};
+    if (typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(v => typeof v !== 'string')) {
+      throw httpError(400, 'headers must be an object of string values');
+    }
+    input.headers = JSON.stringify(headers);
+  }
+
+  if (body.isActive !== undefined) {
+    input.is_active = body.isActive ? 1 : 0;
+  }
+
+  return input;
+}
+
+// --- Webhook outbox ---
+// Pollers don't call the webhook directly any more: sendWebhookNotification
+// writes one webhook_outbox row per matching target and the delivery worker
+// sends them, retrying with exponential backoff until each succeeds or runs out
+// of attempts ("dead").
+const OUTBOX_POLL_INTERVAL_MS = 5000;
+const OUTBOX_BATCH_SIZE = 20;
+const OUTBOX_CLAIM_TIMEOUT_SECONDS = 300;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10);
+const WEBHOOK_RETRY_MAX_SECONDS = 60 * 60;
+// How long a rotated-out subscription secret keeps signing deliveries alongside the new one
+const WEBHOOK_SECRET_OVERLAP_SECONDS = parseInt(process.env.WEBHOOK_SECRET_OVERLAP_SECONDS || String(24 * 60 * 60), 10);
+const OUTBOX_STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+// 2: typed <table>.created/.updated/.deleted event names and a source field
+const WEBHOOK_EVENT_VERSION = 2;
+
+let outboxDeliveryInProgress = false;
+
+async function createWebhookOutboxTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_outbox (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        subscription_id INT NULL DEFAULT NULL,
+        event_id CHAR(36) NULL DEFAULT NULL,
+        event_version INT NOT NULL DEFAULT 1,
+        event_type VARCHAR(100) NOT NULL,
+        record_id VARCHAR(100) NULL,
+        payload LONGTEXT NOT NULL,
+        status ENUM('pending', 'delivering', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP NULL DEFAULT NULL,
+        last_error TEXT NULL,
+        last_status_code INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP NULL DEFAULT NULL,
+        KEY idx_webhook_outbox_due (status, next_attempt_at)
+      )
+    `);
+
+    // Columns added after the outbox first shipped
+    await addColumnIfMissing('webhook_outbox', 'subscription_id', 'INT NULL DEFAULT NULL AFTER id');
+    await addColumnIfMissing('webhook_outbox', 'event_id', 'CHAR(36) NULL DEFAULT NULL AFTER subscription_id');
+    await addColumnIfMissing('webhook_outbox', 'event_version', 'INT NOT NULL DEFAULT 1 AFTER event_id');
+
+    console.log('Webhook outbox table created successfully');
+  } catch (err) {
+    console.error('Error creating webhook outbox table:', err);
+  }
+}
+
+// Log an event in record_events and queue it for every matching webhook target.
+// Runs inside `db` when given (a connection in the caller's transaction), in a
+// transaction of its own otherwise, so the log row and the outbox rows are
+// stored together. Returns the event id, or null when dedupeKey was already
+// used (someone else announced this record). Throws if it couldn't be stored
+// so the caller can avoid advancing its watermark past the record.
+async function sendWebhookNotification(eventType, recordData, {
+  db = null,
+  tableName = eventType.split('.')[0],
+  source = 'polling',
+  dedupeKey = null
+} = {}) {
+  if (!db) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const eventId = await sendWebhookNotification(eventType, recordData, { db: connection, tableName, source, dedupeKey });
+      await connection.commit();
+      return eventId;
+    } catch (err) {
+      await connection.rollback().catch(() => {});
+      throw err;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // One event id per event: shared by every subscription's copy and stable across
+  // retries, so receivers can dedupe on it
+  const eventId = crypto.randomUUID();
+  const notificationPayload = JSON.stringify({
+    id: eventId,
+    event: eventType,
+    version: WEBHOOK_EVENT_VERSION,
+    occurred_at: new Date().toISOString(),
+    source,
+    data: recordData
+  });
+  const recordId = recordData.id === undefined ? null : String(recordData.id);
+
+  const [logged] = await db.query(`
+    INSERT IGNORE INTO record_events (event_id, event_type, table_name, record_id, source, dedupe_key, payload)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [eventId, eventType, tableName, recordId, source, dedupeKey, notificationPayload]);
+  if (logged.affectedRows === 0) {
+    console.log(`Skipping ${eventType} for record ID: ${recordData.id} (already sent as ${dedupeKey})`);
+    return null;
+  }
+
+  const subscriptions = await getActiveSubscriptions();
+  const targets = subscriptions
+    .filter(subscription => matchesEventType(subscription.eventTypes, eventType))
+    .filter(subscription => matchesRecordFilter(recordData, subscription.filters))
+    .map(subscription => subscription.id);
+
+  if (POWER_AUTOMATE_WEBHOOK_URL) {
+    targets.unshift(null);
+  }
+  if (targets.length === 0) {
+    return eventId;
+  }
+
+  await db.query(`
+    INSERT INTO webhook_outbox (subscription_id, event_id, event_version, event_type, record_id, payload)
+    VALUES ?
+  `, [targets.map(subscriptionId => [subscriptionId, eventId, WEBHOOK_EVENT_VERSION, eventType, recordId, notificationPayload])]);
+
+  console.log(`Queued ${targets.length} webhook notification(s) ${eventId} for ${eventType} record ID: ${recordData.id} (${source})`);
+  return eventId;
+}
+
+// Outbox rows for a deleted or deactivated subscription can never be delivered
+function permanentDeliveryError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// Work out where an outbox event goes. Subscriptions are re-read at send time
+// so URL and header edits apply to retries too.
+async function resolveWebhookTarget(outboxEvent) {
+  if (outboxEvent.subscription_id === null) {
+    if (!POWER_AUTOMATE_WEBHOOK_URL) {
+      throw permanentDeliveryError('POWER_AUTOMATE_WEBHOOK_URL is no longer configured');
+    }
+    // Set WEBHOOK_PREVIOUS_SIGNING_SECRET to the old value while the receiver switches over
+    const secrets = [WEBHOOK_SIGNING_SECRET, WEBHOOK_PREVIOUS_SIGNING_SECRET].filter(Boolean);
+    return { url: POWER_AUTOMATE_WEBHOOK_URL, headers: {}, secrets };
+  }
+
+  const [rows] = await pool.query(`
+    SELECT *, previous_secret_expires_at > NOW() AS previous_secret_active
+    FROM webhook_subscriptions WHERE id = ?
+  `, [outboxEvent.subscription_id]);
+  if (rows.length === 0 || !rows[0].is_active) {
+    throw permanentDeliveryError(`Subscription ${outboxEvent.subscription_id} was deleted or deactivated`);
+  }
+  const subscription = toSubscription(rows[0]);
+  // Within a rotation overlap the previous secret signs too
+  const secrets = [rows[0].secret, rows[0].previous_secret_active ? rows[0].previous_secret : null].filter(Boolean);
+  return { url: subscription.targetUrl, headers: subscription.headers, secrets };
+}
+
+// POST one outbox event. The body is sent exactly as stored so the signature
+// (fresh timestamp per attempt) matches what the receiver reads.
+// Throws on any failure so the worker can schedule a retry.
+async function deliverWebhookNotification(outboxEvent) {
+  const target = await resolveWebhookTarget(outboxEvent);
+  const headers = { ...target.headers, 'Content-Type': 'application/json' };
+
+  if (outboxEvent.event_id) {
+    headers[EVENT_ID_HEADER] = outboxEvent.event_id;
+    headers[EVENT_VERSION_HEADER] = String(outboxEvent.event_version);
+  }
+  if (target.secrets.length > 0) {
+    headers[SIGNATURE_HEADER] = signWebhookPayload(target.secrets, outboxEvent.payload);
+  }
+
+  const response = await axios.post(target.url, outboxEvent.payload, {
+    headers,
+    timeout: 10000,
+    transformRequest: [data => data]
+  });
+  return response.status;
+}
+
+// 30s, 60s, 120s, ... capped at an hour
+function getWebhookRetryDelaySeconds(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_SECONDS * Math.pow(2, attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+}
+
+function startOutboxWorker() {
+  processWebhookOutbox();
+  setInterval(processWebhookOutbox, OUTBOX_POLL_INTERVAL_MS);
+}
+
+async function processWebhookOutbox() {
+  if (outboxDeliveryInProgress) {
+    return;
+  }
+
+  outboxDeliveryInProgress = true;
+  try {
+    // Events claimed by a worker that died mid-delivery go back in the queue
+    await pool.query(`
+      UPDATE webhook_outbox
+      SET status = 'pending', locked_at = NULL
+      WHERE status = 'delivering' AND locked_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+    `, [OUTBOX_CLAIM_TIMEOUT_SECONDS]);
+
+    const [dueEvents] = await pool.query(`
+      SELECT id FROM webhook_outbox
+      WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY id ASC
+      LIMIT ?
+    `, [OUTBOX_BATCH_SIZE]);
+
+    for (const { id } of dueEvents) {
+      await deliverOutboxEvent(id);
+    }
+  } catch (err) {
+    console.error('Error processing webhook outbox:', err);
+  } finally {
+    outboxDeliveryInProgress = false;
+  }
+}
+
+async function deliverOutboxEvent(outboxId) {
+  // Claim the event first so another worker can't deliver it at the same time
+  const [claim] = await pool.query(`
+    UPDATE webhook_outbox
+    SET status = 'delivering', locked_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `, [outboxId]);
+  if (claim.affectedRows === 0) {
+    return;
+  }
+
+  const [rows] = await pool.query('SELECT * FROM webhook_outbox WHERE id = ?', [outboxId]);
+  const outboxEvent = rows[0];
+  const attempts = outboxEvent.attempts + 1;
+
+  console.log(`Sending webhook notification ${outboxId} for ${outboxEvent.event_type} record ID: ${outboxEvent.record_id} (attempt ${attempts})`);
+
+  try {
+    const statusCode = await deliverWebhookNotification(outboxEvent);
+    await pool.query(`
+      UPDATE webhook_outbox
+      SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL,
+          locked_at = NULL, delivered_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [attempts, statusCode, outboxId]);
+    console.log(`Webhook notification ${outboxId} sent. Status: ${statusCode}`);
+  } catch (error) {
+    const statusCode = error.response?.status || null;
+    const errorMessage = `${statusCode || error.code || 'ERROR'}: ${error.response?.statusText || error.message}`;
+
+    if (attempts >= WEBHOOK_MAX_ATTEMPTS || error.permanent) {
+      await pool.query(`
+        UPDATE webhook_outbox
+        SET status = 'dead', attempts = ?, last_status_code = ?, last_error = ?, locked_at = NULL
+        WHERE id = ?
+      `, [attempts, statusCode, errorMessage, outboxId]);
+      console.error(`Webhook notification ${outboxId} failed ${attempts} times, moved to dead letter: ${errorMessage}`);
+      return;
+    }
+
+    const retryDelay = getWebhookRetryDelaySeconds(attempts);
+    await pool.query(`
+      UPDATE webhook_outbox
+      SET status = 'pending', attempts = ?, last_status_code = ?, last_error = ?, locked_at = NULL,
+          next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      WHERE id = ?
+    `, [attempts, statusCode, errorMessage, retryDelay, outboxId]);
+    console.warn(`Webhook notification ${outboxId} failed (attempt ${attempts}), retrying in ${retryDelay}s: ${errorMessage}`);
+  }
+}
+
+function toOutboxEventResponse(row) {
+  return { ...row, payload: JSON.parse(row.payload) };
+}
+
+// --- Email notifications ---
+// SMTP-backed notifier that runs alongside the webhooks. MAIL_TRANSPORT=json or
+// MAIL_TRANSPORT=stream swaps in nodemailer's in-process transports, which
+// build the message without sending it (handy for tests and local runs).
+const emailNotificationConfig = require(path.resolve(EMAIL_NOTIFICATIONS_PATH));
+let mailTransporter = null;
+
+function createMailTransporter() {
+  const transport = MAIL_TRANSPORT || (SMTP_HOST ? 'smtp' : null);
+
+  if (transport === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  if (transport === 'stream') {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  if (transport === 'smtp') {
+    return nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: parseInt(SMTP_PORT || '587', 10),
+      secure: SMTP_SECURE === 'true',
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+    });
+  }
+  return null;
+}
+
+function getMailTransporter() {
+  if (mailTransporter === null) {
+    mailTransporter = createMailTransporter() || false;
+  }
+  return mailTransporter || null;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookupTemplateValue(context, keyPath) {
+  const value = keyPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), context);
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Fill {{path.to.value}} placeholders from context. With escape set (HTML
+// bodies) values are HTML-escaped, except {{{triple.braced}}} ones which are
+// inserted as is.
+function renderTemplate(template, context, { escape = false } = {}) {
+  if (!template) {
+    return template;
+  }
+  return template.replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, rawPath, keyPath) => {
+    if (rawPath) {
+      return lookupTemplateValue(context, rawPath);
+    }
+    const value = lookupTemplateValue(context, keyPath);
+    return escape ? escapeHtml(value) : value;
+  });
+}
+
+function summarizeRecord(record) {
+  return Object.entries(record)
+    .filter(([key]) => !key.startsWith('_'))
+    .map(([key, value]) => `${key}: ${value instanceof Date ? value.toISOString() : value ?? ''}`)
+    .join('\n');
+}
+
+function resolveEmailRecipients(config, recordData) {
+  if (config.toField) {
+    return recordData[config.toField] ? [String(recordData[config.toField])] : [];
+  }
+  const recipients = Array.isArray(config.to) ? config.to : String(config.to || '').split(',');
+  return recipients.map(address => address.trim()).filter(Boolean);
+}
+
+// Subscriber emails also get links.unsubscribeUrl (and links.confirmUrl)
+function buildTemplateContext(tableName, recordData) {
+  return {
+    tableName,
+    recordDetails: recordData,
+    recordSummary: summarizeRecord(recordData),
+    links: tableName === 'subscribers' ? getSubscriptionLinks(recordData) : {}
+  };
+}
+
+async function buildEmailNotification(tableName, recordData) {
+  const config = Object.prototype.hasOwnProperty.call(emailNotificationConfig, tableName) ? emailNotificationConfig[tableName] : null;
+  if (!config) {
+    return null;
+  }
+
+  const to = resolveEmailRecipients(config, recordData);
+  if (to.length === 0) {
+    return null;
+  }
+
+  const locale = config.localeField ? recordData[config.localeField] : null;
+  const template = config.template
+    ? await resolveEmailTemplate(config.template, locale)
+    : { subject: config.subject, html: config.html, text: config.text };
+  if (!template) {
+    return null;
+  }
+
+  return {
+    from: MAIL_FROM,
+    to,
+    headers: tableName === 'subscribers' ? getUnsubscribeHeaders(recordData) : {},
+    ...renderEmailTemplate(template, buildTemplateContext(tableName, recordData))
+  };
+}
+
+// Send the configured email for a record, if any. Never throws: mail problems
+// are logged and must not hold up the pollers.
+async function sendEmailNotification(tableName, recordData) {
+  const transporter = getMailTransporter();
+  if (!transporter) {
+    return null;
+  }
+
+  try {
+    const message = await buildEmailNotification(tableName, recordData);
+    if (!message) {
+      return null;
+    }
+
+    const info = await transporter.sendMail(message);
+    console.log(`Email notification sent for ${tableName} record ID: ${recordData.id} to ${message.to.join(', ')} (${info.messageId})`);
+    return info;
+  } catch (err) {
+    console.error(`Email notification failed for ${tableName} record ID: ${recordData.id}:`, err.message);
+    return null;
+  }
+}
+
+// --- Email templates ---
+// Templates live in email_templates so marketing can edit them without a
+// deploy. Each template name can have one row per locale; lookups fall back
+// from "fr-CA" to "fr" to DEFAULT_EMAIL_LOCALE, then to the defaults written
+// in email-notifications.js.
+const TEMPLATE_CACHE_TTL_MS = 60 * 1000;
+const TEMPLATE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,100}$/;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+const templateCache = new Map(); // "name:locale" -> { template, loadedAt }
+
+async function createEmailTemplatesTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_templates (
+        name VARCHAR(100) NOT NULL,
+        locale VARCHAR(20) NOT NULL DEFAULT 'en',
+        subject TEXT NOT NULL,
+        html_body MEDIUMTEXT NULL,
+        text_body MEDIUMTEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (name, locale)
+      )
+    `);
+    console.log('Email templates table created successfully');
+  } catch (err) {
+    console.error('Error creating email templates table:', err);
+  }
+}
+
+function getLocaleCandidates(locale) {
+  const candidates = [];
+  if (locale) {
+    candidates.push(locale);
+    if (locale.includes('-')) {
+      candidates.push(locale.split('-')[0]);
+    }
+  }
+  candidates.push(DEFAULT_EMAIL_LOCALE);
+  return [...new Set(candidates)];
+}
+
+function toEmailTemplate(row) {
+  return {
+    name: row.name,
+    locale: row.locale,
+    subject: row.subject,
+    html: row.html_body,
+    text: row.text_body,
+    updatedAt: row.updated_at
+  };
+}
+
+async function findStoredTemplate(name, locale) {
+  // Without a database (index.js required by the tests) only the defaults exist
+  if (!pool) {
+    return null;
+  }
+  const cacheKey = `${name}:${locale}`;
+  const cached = templateCache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < TEMPLATE_CACHE_TTL_MS) {
+    return cached.template;
+  }
+
+  const [rows] = await pool.query('SELECT * FROM email_templates WHERE name = ? AND locale = ?', [name, locale]);
+  const template = rows.length > 0 ? toEmailTemplate(rows[0]) : null;
+  templateCache.set(cacheKey, { template, loadedAt: Date.now() });
+  return template;
+}
+
+function invalidateTemplateCache(name) {
+  for (const cacheKey of templateCache.keys()) {
+    if (cacheKey.startsWith(`${name}:`)) {
+      templateCache.delete(cacheKey);
+    }
+  }
+}
+
+// Built-in defaults for a template name, taken from email-notifications.js
+function findDefaultTemplate(name) {
+  const config = Object.values(emailNotificationConfig).find(entry => entry.template === name)
+    || SUBSCRIPTION_EMAIL_TEMPLATES[name];
+  return config ? { name, locale: DEFAULT_EMAIL_LOCALE, subject: config.subject, html: config.html, text: config.text } : null;
+}
+
+// Resolve a template for a locale: stored variants first, then the built-in default
+async function resolveEmailTemplate(name, locale) {
+  for (const candidate of getLocaleCandidates(locale)) {
+    const template = await findStoredTemplate(name, candidate);
+    if (template) {
+      return { ...template, source: 'database' };
+    }
+  }
+  const fallback = findDefaultTemplate(name);
+  return fallback ? { ...fallback, source: 'default' } : null;
+}
+
+// Render subject/html/text against a context; html placeholders are escaped
+// unless written with triple braces ({{{recordDetails.content_html}}})
+function renderEmailTemplate(template, context) {
+  return {
+    subject: renderTemplate(template.subject, context),
+    html: renderTemplate(template.html, context, { escape: true }),
+    text: renderTemplate(template.text, context)
+  };
+}
+
+// The analytics counters and email for an event that has been queued (for API
+// writes, once the write has committed). Neither step throws. Emails are
+// configured per table and only go out for new records.
+async function completeRecordEvent(eventType, recordData) {
+  await recordEventMetrics(eventType, recordData);
+  await sendEmailNotification(eventType.replace(/\.created$/, ''), recordData);
+}
+
+// Everything sent for a record announced outside a poll or a table write (a
+// confirmed subscriber, an approved comment), plus its analytics counters.
+// Only the webhook queueing can throw. Options go to sendWebhookNotification;
+// nothing else happens when the event turns out to be a duplicate.
+async function notifyRecordEvent(eventType, recordData, options = {}) {
+  const eventId = await sendWebhookNotification(eventType, recordData, options);
+  if (eventId) {
+    await completeRecordEvent(eventType, recordData);
+  }
+  return eventId;
+}
+
+// --- Newsletter subscriptions ---
+// Double opt-in: POST /api/subscribe stores a pending subscriber and mails a
+// signed confirmation link; confirming activates the subscriber and only then
+// fires the subscribers webhook and welcome email. Unsubscribe links carry a
+// signed token too, so neither link needs an API key.
+const CONFIRMATION_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+const CONFIRMATION_RESEND_INTERVAL_SECONDS = 5 * 60;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Defaults for the emails sent to subscribers outside the pollers (double
+// opt-in, campaign post digests); override them by storing an email_templates
+// row with the same name
+const SUBSCRIPTION_EMAIL_TEMPLATES = {
+  subscriber_confirmation: {
+    subject: 'Please confirm your subscription',
+    text: 'Hi {{recordDetails.name}},\n\nPlease confirm your subscription to the Chemican newsletter:\n{{links.confirmUrl}}\n\nIf you did not sign up, just ignore this email.',
+    html: '<p>Hi {{recordDetails.name}},</p><p>Please <a href="{{links.confirmUrl}}">confirm your subscription</a> to the Chemican newsletter.</p><p>If you did not sign up, just ignore this email.</p>'
+  },
+  campaign_post_digest: {
+    subject: 'New on the Chemican blog: {{post.title}}',
+    text: 'Hi {{recordDetails.name}},\n\n{{post.title}}\n\nRead it here: {{links.postUrl}}\n\nUnsubscribe: {{links.unsubscribeUrl}}',
+    html: '<p>Hi {{recordDetails.name}},</p><h2><a href="{{links.postUrl}}">{{post.title}}</a></h2><p><a href="{{links.postUrl}}">Read it on our blog</a></p><p><a href="{{links.unsubscribeUrl}}">Unsubscribe</a></p>'
+  }
+};
+
+async function migrateSubscribersTable() {
+  try {
+    // Existing subscribers predate double opt-in, so they are backfilled as
+    // confirmed before new rows start out pending
+    if (await addColumnIfMissing('subscribers', 'status', "ENUM('pending', 'confirmed', 'unsubscribed') NOT NULL DEFAULT 'confirmed'")) {
+      await pool.query("ALTER TABLE subscribers ALTER COLUMN status SET DEFAULT 'pending'");
+    }
+    await addColumnIfMissing('subscribers', 'locale', 'VARCHAR(20) NULL DEFAULT NULL');
+    await addColumnIfMissing('subscribers', 'confirmation_sent_at', 'DATETIME NULL DEFAULT NULL');
+    await addColumnIfMissing('subscribers', 'confirmed_at', 'DATETIME NULL DEFAULT NULL');
+    // The latest opt-out; it stays set when the address subscribes again
+    await addColumnIfMissing('subscribers', 'unsubscribed_at', 'DATETIME NULL DEFAULT NULL');
+    console.log('Subscribers table migrated successfully');
+  } catch (err) {
+    console.error('Error migrating subscribers table:', err);
+  }
+}
+
+// One row per confirmation or opt-out, so re-subscribing never erases the
+// record that an address once opted out
+async function createSubscriberConsentEventsTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS subscriber_consent_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        subscriber_id INT NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        action ENUM('confirmed', 'unsubscribed') NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_subscriber (subscriber_id, id)
+      )
+    `);
+    console.log('Subscriber consent events table created successfully');
+  } catch (err) {
+    console.error('Error creating subscriber consent events table:', err);
+  }
+}
+
+async function recordSubscriberConsentEvent(connection, token, action) {
+  await connection.query('INSERT INTO subscriber_consent_events SET ?', {
+    subscriber_id: token.sid,
+    email: token.email,
+    action
+  });
+}
+
+function signSubscriptionPayload(encodedPayload, purpose) {
+  return crypto.createHmac('sha256', SUBSCRIPTION_TOKEN_SECRET).update(`${purpose}.${encodedPayload}`).digest('base64url');
+}
+
+// Tokens are bound to the subscriber id and email, so they stop working if the
+// address changes. Unsubscribe tokens never expire.
+function createSubscriptionToken(subscriber, purpose) {
+  const payload = { sid: subscriber.id, email: subscriber.email };
+  if (purpose === 'confirm') {
+    payload.exp = Math.floor(Date.now() / 1000) + CONFIRMATION_TOKEN_TTL_SECONDS;
+  }
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${signSubscriptionPayload(encodedPayload, purpose)}`;
+}
+
+function verifySubscriptionToken(token, purpose) {
+  if (typeof token !== 'string' || !SUBSCRIPTION_TOKEN_SECRET) {
+    return null;
+  }
+  const [encodedPayload, signature] = token.split('.');
+  if (!encodedPayload || !signature || !safeEqual(signature, signSubscriptionPayload(encodedPayload, purpose))) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+function getSubscriptionLinks(subscriber) {
+  if (!SUBSCRIPTION_TOKEN_SECRET || !subscriber.id || !subscriber.email) {
+    return {};
+  }
+  return {
+    confirmUrl: `${PUBLIC_BASE_URL}/api/subscribe/confirm?token=${createSubscriptionToken(subscriber, 'confirm')}`,
+    unsubscribeUrl: `${PUBLIC_BASE_URL}/api/unsubscribe?token=${createSubscriptionToken(subscriber, 'unsubscribe')}`
+  };
+}
+
+// One-click unsubscribe headers (RFC 8058) for anything mailed to a subscriber
+function getUnsubscribeHeaders(subscriber) {
+  const { unsubscribeUrl } = getSubscriptionLinks(subscriber);
+  if (!unsubscribeUrl) {
+    return {};
+  }
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+async function sendConfirmationEmail(subscriber) {
+  const transporter = getMailTransporter();
+  const template = await resolveEmailTemplate('subscriber_confirmation', subscriber.locale);
+  const context = { ...buildTemplateContext('subscribers', subscriber), links: getSubscriptionLinks(subscriber) };
+
+  const info = await transporter.sendMail({
+    from: MAIL_FROM,
+    to: subscriber.email,
+    ...renderEmailTemplate(template, context)
+  });
+
+  await pool.query('UPDATE subscribers SET confirmation_sent_at = CURRENT_TIMESTAMP WHERE id = ?', [subscriber.id]);
+  console.log(`Sent subscription confirmation to subscriber ID: ${subscriber.id} (${info.messageId})`);
+}
+
+// The page behind a confirm or unsubscribe link: one button that POSTs the token
+function sendSubscriptionPage(res, { title, message, action, token, button }) {
+  res.set('Cache-Control', 'no-store').type('html').send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+<form method="post" action="${escapeHtml(action)}">
+<input type="hidden" name="token" value="${escapeHtml(token)}">
+<button type="submit">${escapeHtml(button)}</button>
+</form>
+</body>
+</html>`);
+}
+
+function sendSubscriptionResult(res, redirectUrl, status, body) {
+  if (redirectUrl) {
+    const separator = redirectUrl.includes('?') ? '&' : '?';
+    return res.redirect(303, `${redirectUrl}${separator}status=${encodeURIComponent(body.status)}`);
+  }
+  res.status(status).json(body);
+}
+
+// --- Newsletter campaigns ---
+// A campaign is one email sent to every confirmed subscriber. Its content is
+// either inline (subject/html/text), a named email template, or a "new post
+// digest" built from a blog_posts record. Sending snapshots the recipients
+// into campaign_sends and a worker mails them in throttled batches, so a
+// restart or a pause picks up where it left off.
+const CAMPAIGN_BATCH_SIZE = parseInt(process.env.CAMPAIGN_BATCH_SIZE || '50', 10);
+const CAMPAIGN_BATCH_INTERVAL_MS = parseInt(process.env.CAMPAIGN_BATCH_INTERVAL_SECONDS || '60', 10) * 1000;
+const CAMPAIGN_MAX_ATTEMPTS = 3;
+const CAMPAIGN_CLAIM_TIMEOUT_SECONDS = 300;
+const CAMPAIGN_SEND_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+const POST_DIGEST_TEMPLATE = 'campaign_post_digest';
+const BLOG_POST_URL = process.env.BLOG_POST_URL || 'https://chemican.com/blog/{{slug}}';
+let campaignSendingInProgress = false;
+
+async function createCampaignTables() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS campaigns (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        template_name VARCHAR(100) NULL,
+        post_id INT NULL,
+        subject TEXT NULL,
+        html_body MEDIUMTEXT NULL,
+        text_body MEDIUMTEXT NULL,
+        status ENUM('draft', 'sending', 'paused', 'sent') NOT NULL DEFAULT 'draft',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME NULL,
+        completed_at DATETIME NULL
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS campaign_sends (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        campaign_id INT NOT NULL,
+        subscriber_id INT NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        status ENUM('pending', 'sending', 'sent', 'failed', 'skipped') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        message_id VARCHAR(255) NULL,
+        last_error TEXT NULL,
+        locked_at DATETIME NULL,
+        sent_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_campaign_subscriber (campaign_id, subscriber_id),
+        INDEX idx_campaign_status (campaign_id, status)
+      )
+    `);
+    console.log('Campaign tables created successfully');
+  } catch (err) {
+    console.error('Error creating campaign tables:', err);
+  }
+}
+
+// { name, subject, html, text } | { name, template } | { name, postId[, template] }
+function parseCampaignInput(body) {
+  const input = body || {};
+  const errors = [];
+
+  if (!input.name || typeof input.name !== 'string') {
+    errors.push('name is required');
+  }
+  if (input.template !== undefined && !TEMPLATE_NAME_PATTERN.test(input.template)) {
+    errors.push('template must be a valid template name');
+  }
+  if (input.postId !== undefined && !/^\d+$/.test(String(input.postId))) {
+    errors.push('postId must be a blog_posts id');
+  }
+  if (input.subject !== undefined && typeof input.subject !== 'string') {
+    errors.push('subject must be a string');
+  }
+
+  const hasInlineContent = Boolean(input.subject);
+  if (!hasInlineContent && input.template === undefined && input.postId === undefined) {
+    errors.push('One of subject (with html or text), template or postId is required');
+  }
+  if (hasInlineContent && !input.html && !input.text) {
+    errors.push('html or text is required with subject');
+  }
+
+  if (errors.length > 0) {
+    throw httpError(400, errors.join('; '));
+  }
+
+  return {
+    name: input.name,
+    template_name: input.template || (input.postId !== undefined ? POST_DIGEST_TEMPLATE : null),
+    post_id: input.postId !== undefined ? parseInt(input.postId, 10) : null,
+    subject: input.subject || null,
+    html_body: input.html || null,
+    text_body: input.text || null
+  };
+}
+
+function toCampaign(row, counts = null) {
+  const campaign = {
+    id: row.id,
+    name: row.name,
+    template: row.template_name,
+    postId: row.post_id,
+    subject: row.subject,
+    html: row.html_body,
+    text: row.text_body,
+    status: row.status,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  };
+  if (counts) {
+    campaign.recipients = counts;
+  }
+  return campaign;
+}
+
+async function getCampaignSendCounts(campaignId) {
+  const [rows] = await pool.query(
+    'SELECT status, COUNT(*) AS count FROM campaign_sends WHERE campaign_id = ? GROUP BY status',
+    [campaignId]
+  );
+  const counts = Object.fromEntries(CAMPAIGN_SEND_STATUSES.map(status => [status, 0]));
+  rows.forEach(row => { counts[row.status] = row.count; });
+  counts.total = rows.reduce((sum, row) => sum + row.count, 0);
+  return counts;
+}
+
+// Loads what a campaign needs to render: its template (unless the content is
+// inline) and, for post digests, the post
+async function loadCampaignContent(campaign) {
+  let post = null;
+  if (campaign.post_id) {
+    const [rows] = await pool.query('SELECT * FROM blog_posts WHERE id = ?', [campaign.post_id]);
+    if (rows.length === 0) {
+      throw httpError(422, `blog_posts record ${campaign.post_id} not found`);
+    }
+    post = rows[0];
+  }
+  return { campaign, post, templates: new Map() };
+}
+
+async function renderCampaignEmail(content, subscriber) {
+  const { campaign, post } = content;
+  let template;
+
+  if (campaign.subject) {
+    template = { subject: campaign.subject, html: campaign.html_body, text: campaign.text_body };
+  } else {
+    // Templates resolve per recipient locale; cache them for the batch
+    const locale = subscriber.locale || DEFAULT_EMAIL_LOCALE;
+    if (!content.templates.has(locale)) {
+      content.templates.set(locale, await resolveEmailTemplate(campaign.template_name, locale));
+    }
+    template = content.templates.get(locale);
+    if (!template) {
+      throw httpError(422, `Email template ${campaign.template_name} not found`);
+    }
+  }
+
+  const context = buildTemplateContext('subscribers', subscriber);
+  context.campaign = { id: campaign.id, name: campaign.name };
+  if (post) {
+    context.post = post;
+    context.links.postUrl = renderTemplate(BLOG_POST_URL, post);
+  }
+  return renderEmailTemplate(template, context);
+}
+
+function startCampaignWorker() {
+  processCampaignSends();
+  setInterval(processCampaignSends, CAMPAIGN_BATCH_INTERVAL_MS);
+}
+
+// Sends at most CAMPAIGN_BATCH_SIZE emails per interval across all campaigns
+// that are sending, oldest campaign first
+async function processCampaignSends() {
+  const transporter = getMailTransporter();
+  if (campaignSendingInProgress || !transporter) {
+    return;
+  }
+
+  campaignSendingInProgress = true;
+  try {
+    // Sends claimed by a worker that died mid-batch go back in the queue
+    await pool.query(`
+      UPDATE campaign_sends
+      SET status = 'pending', locked_at = NULL
+      WHERE status = 'sending' AND locked_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+    `, [CAMPAIGN_CLAIM_TIMEOUT_SECONDS]);
+
+    const [campaigns] = await pool.query("SELECT * FROM campaigns WHERE status = 'sending' ORDER BY started_at ASC, id ASC");
+    let budget = CAMPAIGN_BATCH_SIZE;
+
+    for (const campaign of campaigns) {
+      if (budget <= 0) {
+        break;
+      }
+      budget -= await sendCampaignBatch(transporter, campaign, budget);
+    }
+  } catch (err) {
+    console.error('Error processing campaign sends:', err);
+  } finally {
+    campaignSendingInProgress = false;
+  }
+}
+
+async function sendCampaignBatch(transporter, campaign, limit) {
+  const [sends] = await pool.query(`
+    SELECT cs.id AS send_id, cs.attempts AS send_attempts, s.*
+    FROM campaign_sends cs
+    LEFT JOIN subscribers s ON s.id = cs.subscriber_id
+    WHERE cs.campaign_id = ? AND cs.status = 'pending'
+    ORDER BY cs.id ASC
+    LIMIT ?
+  `, [campaign.id, limit]);
+
+  if (sends.length === 0) {
+    const [[{ unfinished }]] = await pool.query(
+      "SELECT COUNT(*) AS unfinished FROM campaign_sends WHERE campaign_id = ? AND status IN ('pending', 'sending')",
+      [campaign.id]
+    );
+    if (unfinished === 0) {
+      await pool.query(
+        "UPDATE campaigns SET status = 'sent', completed_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'sending'",
+        [campaign.id]
+      );
+      console.log(`Campaign ${campaign.id} finished sending`);
+    }
+    return 0;
+  }
+
+  let content;
+  try {
+    content = await loadCampaignContent(campaign);
+  } catch (err) {
+    await pool.query("UPDATE campaigns SET status = 'paused' WHERE id = ?", [campaign.id]);
+    console.error(`Campaign ${campaign.id} paused: ${err.message}`);
+    return 0;
+  }
+
+  let attempted = 0;
+  for (const { send_id: sendId, send_attempts: attempts, ...subscriber } of sends) {
+    // Anyone who unsubscribed (or was deleted) since the campaign started is skipped
+    if (subscriber.status !== 'confirmed') {
+      await pool.query(
+        "UPDATE campaign_sends SET status = 'skipped', last_error = ? WHERE id = ? AND status = 'pending'",
+        [subscriber.id ? `Subscriber is ${subscriber.status}` : 'Subscriber deleted', sendId]
+      );
+      continue;
+    }
+
+    const [claim] = await pool.query(`
+      UPDATE campaign_sends
+      SET status = 'sending', locked_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+      WHERE id = ? AND status = 'pending'
+    `, [sendId]);
+    if (claim.affectedRows === 0) {
+      continue;
+    }
+    attempted++;
+
+    try {
+      const info = await transporter.sendMail({
+        from: MAIL_FROM,
+        to: subscriber.email,
+        headers: getUnsubscribeHeaders(subscriber),
+        ...(await renderCampaignEmail(content, subscriber))
+      });
+      await pool.query(`
+        UPDATE campaign_sends
+        SET status = 'sent', message_id = ?, last_error = NULL, locked_at = NULL, sent_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [info.messageId || null, sendId]);
+    } catch (err) {
+      const nextStatus = attempts + 1 >= CAMPAIGN_MAX_ATTEMPTS ? 'failed' : 'pending';
+      await pool.query(
+        'UPDATE campaign_sends SET status = ?, last_error = ?, locked_at = NULL WHERE id = ?',
+        [nextStatus, err.message, sendId]
+      );
+      console.error(`Campaign ${campaign.id} send to subscriber ID ${subscriber.id} failed (${nextStatus}):`, err.message);
+    }
+  }
+
+  console.log(`Campaign ${campaign.id}: sent batch of ${attempted}`);
+  return attempted;
+}
+
+function toCampaignSend(row) {
+  return {
+    id: row.id,
+    campaignId: row.campaign_id,
+    subscriberId: row.subscriber_id,
+    email: row.email,
+    status: row.status,
+    attempts: row.attempts,
+    messageId: row.message_id,
+    lastError: row.last_error,
+    sentAt: row.sent_at,
+    createdAt: row.created_at
+  };
+}
+
+// --- Blog comment moderation ---
+// Comments posted through POST /api/blog/posts/:postId/comments are stored as
+// pending (or spam, when the heuristics below flag them) and only announced
+// through the webhook/email once a moderator approves them.
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+const COMMENT_MODERATION_ACTIONS = { approve: 'approved', reject: 'rejected', spam: 'spam' };
+const COMMENT_MODERATION_COLUMNS = ['status', 'spam_score', 'spam_reasons', 'ip_address', 'user_agent', 'moderated_at', 'moderated_by'];
+const COMMENT_INPUT_FIELDS = ['author_name', 'author_email', 'content'];
+const COMMENT_MAX_LINKS = parseInt(process.env.COMMENT_MAX_LINKS || '2', 10);
+const COMMENT_RATE_LIMIT = parseInt(process.env.COMMENT_RATE_LIMIT || '5', 10);
+const COMMENT_RATE_WINDOW_MINUTES = parseInt(process.env.COMMENT_RATE_WINDOW_MINUTES || '10', 10);
+// Hidden form field real visitors leave empty
+const COMMENT_HONEYPOT_FIELD = process.env.COMMENT_HONEYPOT_FIELD || 'website';
+const COMMENT_BLOCKED_WORDS = (process.env.COMMENT_BLOCKED_WORDS || '')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+const MAX_BULK_MODERATION = 500;
+
+async function migrateBlogCommentsTable() {
+  try {
+    // Comments that predate moderation were already public, so they are
+    // backfilled as approved before new rows start out pending
+    if (await addColumnIfMissing('blog_comments', 'status', "ENUM('pending', 'approved', 'rejected', 'spam') NOT NULL DEFAULT 'approved'")) {
+      await pool.query("ALTER TABLE blog_comments ALTER COLUMN status SET DEFAULT 'pending'");
+    }
+    await addColumnIfMissing('blog_comments', 'spam_score', 'INT NOT NULL DEFAULT 0');
+    await addColumnIfMissing('blog_comments', 'spam_reasons', 'TEXT NULL');
+    await addColumnIfMissing('blog_comments', 'ip_address', 'VARCHAR(45) NULL DEFAULT NULL');
+    await addColumnIfMissing('blog_comments', 'user_agent', 'VARCHAR(255) NULL DEFAULT NULL');
+    await addColumnIfMissing('blog_comments', 'moderated_at', 'DATETIME NULL DEFAULT NULL');
+    await addColumnIfMissing('blog_comments', 'moderated_by', 'VARCHAR(255) NULL DEFAULT NULL');
+    console.log('Blog comments table migrated successfully');
+  } catch (err) {
+    console.error('Error migrating blog comments table:', err);
+  }
+}
+
+// Scores a submitted comment; any reason at all files it as spam
+function scoreComment(body) {
+  const reasons = [];
+  const text = `${body.author_name || ''} ${body.content || ''}`.toLowerCase();
+
+  if (body[COMMENT_HONEYPOT_FIELD]) {
+    reasons.push('honeypot');
+  }
+  const linkCount = (text.match(/https?:\/\/|www\./g) || []).length;
+  if (linkCount > COMMENT_MAX_LINKS) {
+    reasons.push(`links:${linkCount}`);
+  }
+  COMMENT_BLOCKED_WORDS
+    .filter(word => text.includes(word))
+    .forEach(word => reasons.push(`blocked_word:${word}`));
+
+  return { score: reasons.length, reasons };
+}
+
+async function isCommentRateLimited(ipAddress) {
+  if (!ipAddress || COMMENT_RATE_LIMIT <= 0) {
+    return false;
+  }
+  const [[{ recent }]] = await pool.query(`
+    SELECT COUNT(*) AS recent FROM blog_comments
+    WHERE ip_address = ? AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+  `, [ipAddress, COMMENT_RATE_WINDOW_MINUTES]);
+  return recent >= COMMENT_RATE_LIMIT;
+}
+
+// What the public listing shows: no email, IP or moderation details
+function toPublicComment(row) {
+  const comment = stripHiddenColumns(getTablePolicy('blog_comments'), null, row);
+  const visible = comment === row ? { ...row } : comment;
+  COMMENT_MODERATION_COLUMNS.forEach(column => delete visible[column]);
+  return visible;
+}
+
+// The status an action moves comments to, or null for anything that is not an
+// own key (so constructor, toString and friends are not actions)
+function getCommentModerationStatus(action) {
+  return Object.prototype.hasOwnProperty.call(COMMENT_MODERATION_ACTIONS, action) ? COMMENT_MODERATION_ACTIONS[action] : null;
+}
+
+// Moves comments to the status for action. Only comments that actually change
+// status are updated; newly approved ones are announced afterwards.
+async function moderateComments(ids, action, apiKey) {
+  const status = getCommentModerationStatus(action);
+  if (!status) {
+    throw httpError(400, `action must be one of: ${Object.keys(COMMENT_MODERATION_ACTIONS).join(', ')}`);
+  }
+  const connection = await pool.getConnection();
+  let rows;
+  let changed;
+
+  try {
+    await connection.beginTransaction();
+    [rows] = await connection.query('SELECT * FROM blog_comments WHERE id IN (?) FOR UPDATE', [ids]);
+    changed = rows.filter(row => row.status !== status);
+
+    if (changed.length > 0) {
+      await connection.query(`
+        UPDATE blog_comments
+        SET status = ?, moderated_at = CURRENT_TIMESTAMP, moderated_by = ?
+        WHERE id IN (?)
+      `, [status, apiKey ? apiKey.name : null, changed.map(row => row.id)]);
+    }
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+
+  if (status === 'approved') {
+    for (const row of changed) {
+      try {
+        await notifyRecordEvent('blog_comments.created', { ...row, status }, { source: 'api' });
+      } catch (err) {
+        console.error(`Failed to queue webhook for approved blog comment ID ${row.id}:`, err.message);
+      }
+    }
+  }
+
+  const foundIds = rows.map(row => row.id);
+  console.log(`Moderation: ${action} ${changed.length} blog comment(s)`);
+  return {
+    status,
+    updated: changed.map(row => row.id),
+    unchanged: rows.filter(row => row.status === status).map(row => row.id),
+    notFound: ids.filter(id => !foundIds.includes(id))
+  };
+}
+
+function parseCommentIds(values) {
+  const list = Array.isArray(values) ? values : [values];
+  if (list.length === 0 || list.length > MAX_BULK_MODERATION || !list.every(id => /^\d+$/.test(String(id)))) {
+    throw httpError(400, `ids must be 1 to ${MAX_BULK_MODERATION} comment ids`);
+  }
+  return [...new Set(list.map(id => parseInt(id, 10)))];
+}
+
+// --- Public blog read API ---
+// Purpose-built reads for the website so it no longer joins blog_posts and
+// blog_post_tags itself. Columns are picked by name and only when the table
+// has them, so optional ones (excerpt, published_at, ...) can come and go.
+const BLOG_PAGE_SIZE = 10;
+const BLOG_MAX_PAGE_SIZE = 50;
+const BLOG_RELATED_LIMIT = 5;
+// response field -> blog_posts column
+const BLOG_POST_SUMMARY_FIELDS = {
+  id: 'id',
+  slug: 'slug',
+  title: 'title',
+  excerpt: 'excerpt',
+  featuredImage: 'featured_image',
+  author: 'author',
+  viewCount: 'view_count',
+  publishedAt: 'published_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+const BLOG_POST_DETAIL_FIELDS = {
+  ...BLOG_POST_SUMMARY_FIELDS,
+  content: 'content',
+  metaTitle: 'meta_title',
+  metaDescription: 'meta_description'
+};
+
+// SQL (with the p alias) limiting blog_posts to what is live on the site
+function buildPublishedCondition(columns) {
+  const conditions = [];
+  if (columns.includes('status')) {
+    conditions.push("p.status = 'published'");
+  }
+  if (columns.includes('published_at')) {
+    conditions.push('(p.published_at IS NULL OR p.published_at <= CURRENT_TIMESTAMP)');
+  }
+  return conditions.length > 0 ? conditions.join(' AND ') : '1 = 1';
+}
+
+function getBlogPostOrder(columns) {
+  return columns.includes('published_at') ? 'p.published_at DESC, p.id DESC' : 'p.id DESC';
+}
+
+function shapeBlogPost(row, fields, columns) {
+  const post = {};
+  for (const [field, column] of Object.entries(fields)) {
+    if (columns.includes(column)) {
+      post[field] = row[column];
+    }
+  }
+  return post;
+}
+
+function toBlogTag(row) {
+  return { id: row.id, name: row.name, slug: row.slug };
+}
+
+// Tags for a set of posts, keyed by post id
+async function getTagsForPosts(postIds) {
+  const tagsByPost = new Map(postIds.map(id => [id, []]));
+  if (postIds.length === 0) {
+    return tagsByPost;
+  }
+
+  const [rows] = await pool.query(`
+    SELECT pt.post_id, t.id, t.name, t.slug
+    FROM blog_post_tags pt
+    JOIN blog_tags t ON t.id = pt.tag_id
+    WHERE pt.post_id IN (?)
+    ORDER BY t.name ASC
+  `, [postIds]);
+  rows.forEach(row => tagsByPost.get(row.post_id).push(toBlogTag(row)));
+  return tagsByPost;
+}
+
+async function findPublishedPostBySlug(slug, columns) {
+  const [rows] = await pool.query(
+    `SELECT p.* FROM blog_posts p WHERE p.slug = ? AND ${buildPublishedCondition(columns)} LIMIT 1`,
+    [slug]
+  );
+  return rows[0] || null;
+}
+
+// --- Blog post views ---
+// POST /api/blog/posts/:idOrSlug/view bumps view_count in the database rather
+// than having clients PUT a new total. Every human view is logged in
+// blog_post_views; a repeat from the same visitor within the window is logged
+// but not counted, and known bots are ignored altogether.
+const VIEW_DEDUP_WINDOW_MINUTES = parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES || '30', 10);
+const BOT_USER_AGENT_PATTERN = new RegExp([
+  'bot', 'crawl', 'spider', 'slurp', 'facebookexternalhit', 'embedly', 'preview',
+  'headless', 'lighthouse', 'pingdom', 'curl', 'wget', 'python-requests', 'axios',
+  ...(process.env.VIEW_BOT_USER_AGENTS || '').split(',').map(agent => agent.trim()).filter(Boolean)
+].map(agent => agent.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'i');
+
+async function createBlogPostViewsTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS blog_post_views (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        post_id INT NOT NULL,
+        fingerprint CHAR(64) NOT NULL,
+        counted TINYINT(1) NOT NULL DEFAULT 1,
+        user_agent VARCHAR(255) NULL,
+        referrer VARCHAR(512) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_post_fingerprint (post_id, fingerprint, created_at),
+        INDEX idx_created_at (created_at)
+      )
+    `);
+    console.log('Blog post views table created successfully');
+  } catch (err) {
+    console.error('Error creating blog post views table:', err);
+  }
+}
+
+function isBotUserAgent(userAgent) {
+  return !userAgent || BOT_USER_AGENT_PATTERN.test(userAgent);
+}
+
+// A visitor is their IP and user agent. Nothing the client sends goes in, or a
+// fresh value per request would get every view counted. Only the hash is stored.
+function getVisitorFingerprint(req) {
+  return crypto.createHash('sha256')
+    .update([req.ip || '', req.get('User-Agent') || ''].join('|'))
+    .digest('hex');
+}
+
+// Counts one view; returns null when the post doesn't exist or isn't published
+async function recordBlogPostView(idOrSlug, req) {
+  const columns = await getTableColumns('blog_posts');
+  const isId = /^\d+$/.test(idOrSlug);
+  const fingerprint = getVisitorFingerprint(req);
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Locking the post serialises concurrent views of it, so the duplicate
+    // check and the increment can't interleave
+    const [posts] = await connection.query(
+      `SELECT p.id FROM blog_posts p WHERE p.${isId ? 'id' : 'slug'} = ? AND ${buildPublishedCondition(columns)} FOR UPDATE`,
+      [idOrSlug]
+    );
+    if (posts.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+    const postId = posts[0].id;
+
+    const [recent] = await connection.query(`
+      SELECT 1 FROM blog_post_views
+      WHERE post_id = ? AND fingerprint = ? AND counted = 1
+        AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+      LIMIT 1
+    `, [postId, fingerprint, VIEW_DEDUP_WINDOW_MINUTES]);
+    const counted = recent.length === 0;
+
+    await connection.query('INSERT INTO blog_post_views SET ?', {
+      post_id: postId,
+      fingerprint,
+      counted: counted ? 1 : 0,
+      user_agent: (req.get('User-Agent') || '').slice(0, 255) || null,
+      referrer: (req.body?.referrer || req.get('Referer') || '').slice(0, 512) || null
+    });
+    if (counted) {
+      await connection.query('UPDATE blog_posts SET view_count = COALESCE(view_count, 0) + 1 WHERE id = ?', [postId]);
+    }
+
+    const [[{ view_count: viewCount }]] = await connection.query('SELECT view_count FROM blog_posts WHERE id = ?', [postId]);
+    await connection.commit();
+    return { id: postId, viewCount, counted };
+  } catch (err) {
+    if (connection) {
+      await connection.rollback();
+    }
+    throw err;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+// --- Analytics ---
+// Daily counters in analytics_metrics, keyed by metric and an optional
+// dimension (post id, form type). They are bumped as events happen, since the
+// tables themselves only keep current totals: the view-count poller adds each
+// view_count increase, and every new form submission, confirmed subscriber and
+// approved comment adds one. Weekly and monthly series are rolled up from the
+// daily rows when queried.
+const ANALYTICS_PERIODS = {
+  day: { sql: 'bucket_date', defaultSpan: 30 },
+  week: { sql: 'DATE_SUB(bucket_date, INTERVAL WEEKDAY(bucket_date) DAY)', defaultSpan: 12 },
+  month: { sql: "DATE_FORMAT(bucket_date, '%Y-%m-01')", defaultSpan: 12 }
+};
+const ANALYTICS_METRICS = ['post_views', 'form_submissions', 'new_subscribers', 'approved_comments'];
+const MAX_ANALYTICS_BUCKETS = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function createAnalyticsMetricsTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS analytics_metrics (
+        metric VARCHAR(64) NOT NULL,
+        dimension VARCHAR(191) NOT NULL DEFAULT '',
+        bucket_date DATE NOT NULL,
+        value BIGINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (metric, dimension, bucket_date),
+        INDEX idx_metric_date (metric, bucket_date)
+      )
+    `);
+    console.log('Analytics metrics table created successfully');
+  } catch (err) {
+    console.error('Error creating analytics metrics table:', err);
+  }
+}
+
+async function incrementMetric(metric, dimension, amount = 1) {
+  await pool.query(`
+    INSERT INTO analytics_metrics (metric, dimension, bucket_date, value)
+    VALUES (?, ?, CURRENT_DATE, ?)
+    ON DUPLICATE KEY UPDATE value = value + VALUES(value)
+  `, [metric, dimension === null || dimension === undefined ? '' : String(dimension), amount]);
+}
+
+// Called once an event for a record has been queued. Never throws: a failed
+// counter must not make the caller retry (and re-send) the event.
+async function recordEventMetrics(eventType, recordData) {
+  try {
+    if (eventType === 'form_submits.created') {
+      await incrementMetric('form_submissions', recordData.form_type);
+    } else if (eventType === 'subscribers.created') {
+      await incrementMetric('new_subscribers', null);
+    } else if (eventType === 'blog_comments.created') {
+      await incrementMetric('approved_comments', recordData.post_id);
+    } else if (eventType === 'blog_posts_view_count_change') {
+      const difference = recordData._change_details ? recordData._change_details.difference : 0;
+      if (difference > 0) {
+        await incrementMetric('post_views', recordData.id, difference);
+      }
+    }
+  } catch (err) {
+    console.error(`Failed to record ${eventType} metrics for record ID ${recordData.id}:`, err.message);
+  }
+}
+
+function formatDateOnly(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function getBucketStart(date, period) {
+  const start = new Date(date);
+  if (period === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (period === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+function addPeriod(date, period, count = 1) {
+  const next = new Date(date);
+  if (period === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + count);
+  } else {
+    next.setUTCDate(next.getUTCDate() + count * (period === 'week' ? 7 : 1));
+  }
+  return next;
+}
+
+// ?period=day|week|month&from=YYYY-MM-DD&to=YYYY-MM-DD, defaulting to the last
+// 30 days / 12 weeks / 12 months
+function parseAnalyticsRange(query) {
+  const period = query.period || 'day';
+  if (typeof period !== 'string' || !Object.prototype.hasOwnProperty.call(ANALYTICS_PERIODS, period)) {
+    throw httpError(400, `period must be one of: ${Object.keys(ANALYTICS_PERIODS).join(', ')}`);
+  }
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined && (!DATE_PATTERN.test(query[field]) || isNaN(Date.parse(query[field])))) {
+      throw httpError(400, `${field} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  const to = query.to ? new Date(`${query.to}T00:00:00Z`) : new Date(`${formatDateOnly(new Date())}T00:00:00Z`);
+  const from = query.from
+    ? new Date(`${query.from}T00:00:00Z`)
+    : addPeriod(getBucketStart(to, period), period, 1 - ANALYTICS_PERIODS[period].defaultSpan);
+  if (from > to) {
+    throw httpError(400, 'from must not be after to');
+  }
+  if (addPeriod(from, period, MAX_ANALYTICS_BUCKETS) <= to) {
+    throw httpError(400, `Range is limited to ${MAX_ANALYTICS_BUCKETS} ${period}s`);
+  }
+
+  return { period, from: formatDateOnly(from), to: formatDateOnly(to) };
+}
+
+// Every bucket start in the range, so periods without data come back as 0
+function listPeriodBuckets({ period, from, to }) {
+  const buckets = [];
+  const end = new Date(`${to}T00:00:00Z`);
+  for (let bucket = getBucketStart(new Date(`${from}T00:00:00Z`), period); bucket <= end; bucket = addPeriod(bucket, period)) {
+    buckets.push(formatDateOnly(bucket));
+  }
+  return buckets;
+}
+
+// Summed values per bucket (and per dimension when grouped)
+async function queryMetricSeries(metric, range, { dimension = null, groupByDimension = false } = {}) {
+  const bucketSql = ANALYTICS_PERIODS[range.period].sql;
+  const conditions = ['metric = ?', 'bucket_date BETWEEN ? AND ?'];
+  const params = [metric, range.from, range.to];
+  if (dimension !== null) {
+    conditions.push('dimension = ?');
+    params.push(String(dimension));
+  }
+
+  const [rows] = await pool.query(`
+    SELECT DATE_FORMAT(${bucketSql}, '%Y-%m-%d') AS period${groupByDimension ? ', dimension' : ''}, SUM(value) AS value
+    FROM analytics_metrics
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY period${groupByDimension ? ', dimension' : ''}
+    ORDER BY period ASC
+  `, params);
+  return rows.map(row => ({ ...row, value: Number(row.value) }));
+}
+
+function fillSeries(range, rows) {
+  const values = new Map(rows.map(row => [row.period, row.value]));
+  return listPeriodBuckets(range).map(period => ({ period, value: values.get(period) || 0 }));
+}
+
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// JSON by default; ?format=csv answers the same rows as CSV with a header line
+function sendAnalyticsRows(req, res, rows, columns, filename) {
+  if (req.query.format === 'csv') {
+    const lines = [columns.join(','), ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))];
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(`${lines.join('\n')}\n`);
+  }
+  res.json(rows);
+}
+
+// Helper function to extract data from request body in different formats
+function extractDataFromRequest(req) {
+  // If req.body.body.$ exists as a string (test tab format)
+  if (req.body?.body?.$) {
+    const bodyContent = req.body.body.$;
+    if (typeof bodyContent === 'string') {
+      try {
+        return JSON.parse(bodyContent);
+      } catch (e) {
+        return bodyContent; // Return as is if not valid JSON
+      }
+    } else {
+      return bodyContent; // Maybe it's already an object
+    }
+  } 
+  // Try req.body.body (Power Automate flow format)
+  else if (req.body?.body) {
+    const bodyContent = req.body.body;
+    if (typeof bodyContent === 'string') {
+      try {
+        return JSON.parse(bodyContent);
+      } catch (e) {
+        return bodyContent; // Return as is if not valid JSON
+      }
+    } else {
+      return bodyContent; // Maybe it's already an object
+    }
+  }
+  // Fallback to req.body itself
+  else {
+    return req.body;
+  }
+}
+
+// Build an Error carrying an HTTP status so request helpers can reject input
+// and let the route's catch block pick the response code
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+}
+
+function sendErrorResponse(res, err) {
+  const body = { error: err.message };
+  if (err.details) {
+    body.details = err.details;
+  }
+  res.status(err.status || 500).json(body);
+}
+
+// --- API key authentication ---
+// Keys are stored hashed in api_keys; the plaintext is only shown when a key is
+// issued or rotated. Scopes look like `blog_posts:read`, `form_submits:insert`,
+// `form_submits:write`, `*:read` or `admin` (everything).
+const API_KEY_PREFIX = 'chk_';
+const API_KEY_CACHE_TTL_MS = 60 * 1000;
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+const SCOPE_PATTERN = /^(admin|(\*|[a-zA-Z0-9_]+):(read|insert|write))$/;
+const apiKeyCache = new Map(); // key hash -> { apiKey, loadedAt }
+
+async function createApiKeysTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) NOT NULL,
+        scopes TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NULL DEFAULT NULL,
+        revoked_at TIMESTAMP NULL DEFAULT NULL,
+        last_used_at TIMESTAMP NULL DEFAULT NULL,
+        UNIQUE KEY uniq_api_keys_hash (key_hash)
+      )
+    `);
+    console.log('API keys table created successfully');
+  } catch (err) {
+    console.error('Error creating API keys table:', err);
+  }
+}
+
+function hashApiKey(plaintextKey) {
+  return crypto.createHash('sha256').update(plaintextKey).digest('hex');
+}
+
+function generateApiKey() {
+  const plaintextKey = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return {
+    plaintextKey,
+    keyPrefix: plaintextKey.slice(0, 12),
+    keyHash: hashApiKey(plaintextKey)
+  };
+}
+
+function toApiKeyResponse(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw httpError(400, 'scopes must be a non-empty array');
+  }
+  const invalid = scopes.filter(scope => typeof scope !== 'string' || !SCOPE_PATTERN.test(scope));
+  if (invalid.length > 0) {
+    throw httpError(400, `Invalid scope(s): ${invalid.join(', ')}`);
+  }
+  return [...new Set(scopes)];
+}
+
+// `write` covers `insert`; `*:<access>` covers every table; `admin` covers everything
+function hasScope(apiKey, requiredScope) {
+  if (!apiKey) {
+    return false;
+  }
+  const scopes = apiKey.scopes;
+  if (scopes.includes('admin') || scopes.includes(requiredScope)) {
+    return true;
+  }
+  if (requiredScope === 'admin') {
+    return false;
+  }
+
+  const [tableName, access] = requiredScope.split(':');
+  const candidates = [`*:${access}`];
+  if (access === 'insert') {
+    candidates.push(`${tableName}:write`, '*:write');
+  }
+  return candidates.some(scope => scopes.includes(scope));
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+async function findApiKey(plaintextKey) {
+  // ADMIN_API_KEY is a bootstrap key so the first managed keys can be issued
+  if (ADMIN_API_KEY && safeEqual(plaintextKey, ADMIN_API_KEY)) {
+    return { id: null, name: 'bootstrap-admin', scopes: ['admin'] };
+  }
+
+  const keyHash = hashApiKey(plaintextKey);
+  const cached = apiKeyCache.get(keyHash);
+  if (cached && Date.now() - cached.loadedAt < API_KEY_CACHE_TTL_MS) {
+    return cached.apiKey;
+  }
+
+  const [rows] = await pool.query(`
+    SELECT * FROM api_keys
+    WHERE key_hash = ? AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+  `, [keyHash]);
+
+  // Only known keys are cached: anyone can send unknown ones, as many as they like
+  if (rows.length === 0) {
+    apiKeyCache.delete(keyHash);
+    return null;
+  }
+  const apiKey = { id: rows[0].id, name: rows[0].name, scopes: JSON.parse(rows[0].scopes), lastTouchedAt: 0 };
+  apiKeyCache.set(keyHash, { apiKey, loadedAt: Date.now() });
+  return apiKey;
+}
+
+function touchApiKey(apiKey) {
+  if (!apiKey.id || Date.now() - apiKey.lastTouchedAt < API_KEY_TOUCH_INTERVAL_MS) {
+    return;
+  }
+  apiKey.lastTouchedAt = Date.now();
+  pool.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [apiKey.id])
+    .catch(err => console.warn(`Failed to update last_used_at for API key ${apiKey.id}:`, err.message));
+}
+
+// Revoked or rotated keys must stop working immediately, not after the cache
+// TTL, including on the streams they opened
+function evictApiKeyFromCache(apiKeyId) {
+  for (const [keyHash, entry] of apiKeyCache) {
+    if (entry.apiKey.id === apiKeyId) {
+      apiKeyCache.delete(keyHash);
+    }
+  }
+  revalidateStreamClients();
+}
+
+// Also used for WebSocket upgrades, which are plain Node requests. The
+// ?api_key= fallback is only for clients that can't set headers (see allowQuery).
+function readApiKeyFromRequest(req, { allowQuery = false } = {}) {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) {
+    return headerKey.trim();
+  }
+  const authorization = req.headers.authorization;
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  if (allowQuery) {
+    const queryKey = new URL(req.url, 'http://localhost').searchParams.get('api_key');
+    return queryKey ? queryKey.trim() : null;
+  }
+  return null;
+}
+
+// Resolves the caller's key (if any) onto req.apiKey. Routes decide what they
+// need with requireScope/requireTableScope, so public routes can skip them.
+async function authenticateApiKey(req, res, next) {
+  const plaintextKey = readApiKeyFromRequest(req, { allowQuery: req.baseUrl + req.path === STREAM_PATH });
+  req.apiKey = null;
+
+  if (!plaintextKey) {
+    return next();
+  }
+
+  try {
+    const apiKey = await findApiKey(plaintextKey);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+    req.apiKey = apiKey;
+    touchApiKey(apiKey);
+    next();
+  } catch (err) {
+    console.error('Error authenticating API key:', err);
+    res.status(500).json({ error: 'Unable to verify API key' });
+  }
+}
+
+function requireApiKey(req, res, next) {
+  if (!req.apiKey) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+  next();
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return res.status(401).json({ error: 'API key required' });
+    }
+    if (!hasScope(req.apiKey, scope)) {
+      return res.status(403).json({ error: `Missing required scope: ${scope}` });
+    }
+    next();
+  };
+}
+
+// Scope check for the generic /api/tables/:tableName routes
+function requireTableScope(access) {
+  return (req, res, next) => requireScope(`${req.params.tableName}:${access}`)(req, res, next);
+}
+
+// --- Table policy ---
+// Declarative allow-list for the generic /api/tables routes (see table-policy.js)
+const TABLE_OPERATIONS = ['list', 'get', 'create', 'update', 'delete', 'deleteWhere'];
+const RECORD_WRITE_EVENTS = ['created', 'updated', 'deleted'];
+
+function loadTablePolicies(policyPath) {
+  const config = require(path.resolve(policyPath));
+  const policies = {};
+
+  for (const [tableName, policy] of Object.entries(config)) {
+    if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
+      throw new Error(`Table policy: invalid table name "${tableName}"`);
+    }
+    const operations = policy.operations || [];
+    const unknownOperations = operations.filter(op => !TABLE_OPERATIONS.includes(op));
+    if (unknownOperations.length > 0) {
+      throw new Error(`Table policy for ${tableName}: unknown operation(s) ${unknownOperations.join(', ')}`);
+    }
+    const key = policy.key || 'id';
+    if (Array.isArray(key) && policy.alternateKey) {
+      throw new Error(`Table policy for ${tableName}: alternateKey can't be used with a composite key`);
+    }
+    const events = policy.events || RECORD_WRITE_EVENTS;
+    const unknownEvents = events.filter(action => !RECORD_WRITE_EVENTS.includes(action));
+    if (unknownEvents.length > 0) {
+      throw new Error(`Table policy for ${tableName}: unknown event(s) ${unknownEvents.join(', ')}`);
+    }
+
+    policies[tableName] = {
+      tableName,
+      operations,
+      key,
+      alternateKey: policy.alternateKey || null,
+      hiddenColumns: policy.hiddenColumns || [],
+      readOnlyColumns: policy.readOnlyColumns || [],
+      events
+    };
+  }
+
+  return policies;
+}
+
+const tablePolicies = loadTablePolicies(TABLE_POLICY_PATH);
+console.log(`Table policy loaded: ${Object.keys(tablePolicies).join(', ') || '(no tables exposed)'}`);
+
+function getTablePolicy(tableName) {
+  return Object.prototype.hasOwnProperty.call(tablePolicies, tableName) ? tablePolicies[tableName] : null;
+}
+
+// Only tables listed in the policy get past this, which also covers the old
+// identifier regex check. Unlisted tables answer 404 rather than 403 so callers
+// can't probe what exists. Without an operation it only checks the table is exposed.
+function requireTableOperation(operation = null) {
+  return (req, res, next) => {
+    const policy = getTablePolicy(req.params.tableName);
+    if (!policy) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+    if (operation && !policy.operations.includes(operation)) {
+      return res.status(405).json({ error: `Operation ${operation} is not allowed on ${req.params.tableName}` });
+    }
+    req.tablePolicy = policy;
+    next();
+  };
+}
+
+function getHiddenColumns(policy, apiKey) {
+  return hasScope(apiKey, 'admin') ? [] : policy.hiddenColumns;
+}
+
+// Columns the caller may see, filter or sort on
+function getVisibleColumns(policy, columns, apiKey) {
+  const hiddenColumns = getHiddenColumns(policy, apiKey);
+  return columns.filter(column => !hiddenColumns.includes(column));
+}
+
+function stripHiddenColumns(policy, apiKey, record) {
+  const hiddenColumns = getHiddenColumns(policy, apiKey);
+  if (!record || hiddenColumns.length === 0) {
+    return record;
+  }
+  const visible = { ...record };
+  hiddenColumns.forEach(column => delete visible[column]);
+  return visible;
+}
+
+// Turn the /:idOrGuid path segment into the lookups to try, in order.
+// Numeric values try the key column first and then the alternate key (the
+// id-then-guid fallback these routes have always had); composite keys take
+// comma-separated values in the order the policy lists the columns.
+function buildKeyLookups(policy, rawKey) {
+  if (Array.isArray(policy.key)) {
+    const values = String(rawKey).split(',');
+    if (values.length !== policy.key.length) {
+      throw httpError(400, `Expected ${policy.key.length} comma-separated key values (${policy.key.join(', ')})`);
+    }
+    return [{
+      identifier: policy.key.join(','),
+      sql: policy.key.map(() => '?? = ?').join(' AND '),
+      params: policy.key.flatMap((column, i) => [column, values[i]])
+    }];
+  }
+
+  const lookups = [];
+  if (policy.key !== 'id' || !isNaN(rawKey)) {
+    lookups.push({ identifier: policy.key, sql: '?? = ?', params: [policy.key, rawKey] });
+  }
+  if (policy.alternateKey) {
+    lookups.push({ identifier: policy.alternateKey, sql: '?? = ?', params: [policy.alternateKey, rawKey] });
+  }
+  return lookups;
+}
+
+// After an update the key columns may have changed (e.g. a guid sync), so
+// re-read the record using the new values where the payload set them
+function rekeyLookup(lookup, data) {
+  const params = [...lookup.params];
+  for (let i = 0; i < params.length; i += 2) {
+    if (data[params[i]] !== undefined) {
+      params[i + 1] = data[params[i]];
+    }
+  }
+  return { ...lookup, params };
+}
+
+// --- Table schema cache ---
+// Column metadata comes from information_schema so query params and write
+// payloads can be checked against the real table definition instead of only
+// the identifier regex
+const SCHEMA_CACHE_TTL_MS = 5 * 60 * 1000;
+const tableSchemaCache = new Map();
+
+const SCHEMA_COLUMNS_QUERY = `
+  SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name, DATA_TYPE AS data_type,
+         COLUMN_TYPE AS column_type, IS_NULLABLE AS is_nullable, COLUMN_KEY AS column_key,
+         COLUMN_DEFAULT AS column_default, EXTRA AS extra,
+         CHARACTER_MAXIMUM_LENGTH AS max_length
+  FROM information_schema.COLUMNS
+  WHERE TABLE_SCHEMA = DATABASE()
+`;
+
+function toColumnDefinition(row) {
+  const extra = (row.extra || '').toLowerCase();
+  const enumMatch = /^(enum|set)\((.*)\)$/i.exec(row.column_type);
+
+  return {
+    name: row.column_name,
+    dataType: row.data_type.toLowerCase(),
+    columnType: row.column_type,
+    nullable: row.is_nullable === 'YES',
+    key: row.column_key || null,
+    default: row.column_default,
+    autoIncrement: extra.includes('auto_increment'),
+    generated: extra.includes('generated'),
+    maxLength: row.max_length === null ? null : Number(row.max_length),
+    allowedValues: enumMatch
+      ? enumMatch[2].split(/,(?=')/).map(v => v.replace(/^'|'$/g, '').replace(/''/g, "'"))
+      : null
+  };
+}
+
+function cacheTableSchema(tableName, columnRows) {
+  const schema = {
+    tableName,
+    columns: columnRows.map(toColumnDefinition)
+  };
+  schema.columnNames = schema.columns.map(column => column.name);
+  tableSchemaCache.set(tableName, { schema, loadedAt: Date.now() });
+  return schema;
+}
+
+// Returns { tableName, columns, columnNames } or null when the table doesn't exist
+async function getTableSchema(tableName) {
+  const cached = tableSchemaCache.get(tableName);
+  if (cached && Date.now() - cached.loadedAt < SCHEMA_CACHE_TTL_MS) {
+    return cached.schema;
+  }
+
+  const [rows] = await pool.query(`${SCHEMA_COLUMNS_QUERY} AND TABLE_NAME = ? ORDER BY ORDINAL_POSITION`, [tableName]);
+  if (rows.length === 0) {
+    tableSchemaCache.delete(tableName);
+    return null;
+  }
+  return cacheTableSchema(tableName, rows);
+}
+
+async function getTableColumns(tableName) {
+  const schema = await getTableSchema(tableName);
+  return schema ? schema.columnNames : [];
+}
+
+// Load every table in one query and refresh the cache for all of them
+async function getDatabaseSchema() {
+  const [rows] = await pool.query(`${SCHEMA_COLUMNS_QUERY} ORDER BY TABLE_NAME, ORDINAL_POSITION`);
+
+  const rowsByTable = new Map();
+  for (const row of rows) {
+    if (!rowsByTable.has(row.table_name)) {
+      rowsByTable.set(row.table_name, []);
+    }
+    rowsByTable.get(row.table_name).push(row);
+  }
+
+  return [...rowsByTable.entries()].map(([tableName, columnRows]) => cacheTableSchema(tableName, columnRows));
+}
+
+function clearTableSchemaCache(tableName = null) {
+  if (tableName) {
+    tableSchemaCache.delete(tableName);
+  } else {
+    tableSchemaCache.clear();
+  }
+}
+
+// --- Write payload validation ---
+const INTEGER_TYPES = ['tinyint', 'smallint', 'mediumint', 'int', 'integer', 'bigint'];
+const FLOAT_TYPES = ['float', 'double', 'real'];
+const DECIMAL_TYPES = ['decimal', 'numeric'];
+const STRING_TYPES = ['char', 'varchar', 'tinytext', 'text', 'mediumtext', 'longtext'];
+const DATE_TYPES = ['date', 'datetime', 'timestamp'];
+
+// Coerce one incoming value to what MySQL expects for the column.
+// Returns { value } on success or { error } describing the problem.
+function coerceColumnValue(column, value) {
+  if (value === null) {
+    if (!column.nullable && !column.autoIncrement) {
+      return { error: 'Cannot be null' };
+    }
+    return { value: null };
+  }
+
+  const { dataType } = column;
+
+  if (INTEGER_TYPES.includes(dataType)) {
+    if (typeof value === 'boolean') {
+      return { value: value ? 1 : 0 };
+    }
+    if ((typeof value === 'number' && Number.isInteger(value)) || (typeof value === 'string' && /^-?\d+$/.test(value.trim()))) {
+      const numeric = Number(value);
+      // Keep out-of-range bigints as strings so no precision is lost
+      return { value: Number.isSafeInteger(numeric) ? numeric : String(value).trim() };
+    }
+    return { error: 'Expected an integer' };
+  }
+
+  if (FLOAT_TYPES.includes(dataType) || DECIMAL_TYPES.includes(dataType)) {
+    const numeric = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof numeric !== 'number' || !Number.isFinite(numeric)) {
+      return { error: 'Expected a number' };
+    }
+    // Decimals stay strings so the driver doesn't round them through a float
+    return { value: DECIMAL_TYPES.includes(dataType) ? String(value).trim() : numeric };
+  }
+
+  if (DATE_TYPES.includes(dataType)) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2}(\.\d+)?)?$/.test(value)) {
+      return { value };
+    }
+    const date = new Date(value);
+    if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(date.getTime())) {
+      return { error: 'Expected a date' };
+    }
+    return { value: date };
+  }
+
+  if (dataType === 'json') {
+    if (typeof value === 'string') {
+      try {
+        JSON.parse(value);
+        return { value };
+      } catch (e) {
+        return { value: JSON.stringify(value) };
+      }
+    }
+    return { value: JSON.stringify(value) };
+  }
+
+  if (dataType === 'enum' || dataType === 'set') {
+    const values = dataType === 'set'
+      ? (Array.isArray(value) ? value.map(String) : String(value).split(','))
+      : [String(value)];
+    const invalid = values.filter(v => !column.allowedValues.includes(v));
+    if (invalid.length > 0) {
+      return { error: `Must be one of: ${column.allowedValues.join(', ')}` };
+    }
+    return { value: values.join(',') };
+  }
+
+  if (typeof value === 'object') {
+    return { error: 'Expected a scalar value' };
+  }
+
+  if (STRING_TYPES.includes(dataType)) {
+    const text = String(value);
+    if (column.maxLength !== null && text.length > column.maxLength) {
+      return { error: `Must be at most ${column.maxLength} characters` };
+    }
+    return { value: text };
+  }
+
+  // Other types (binary, spatial, time, year...) are passed through untouched
+  return { value };
+}
+
+// Check a create/update payload against the table schema. Unknown columns,
+// generated or read-only columns, bad values and (on create) missing required
+// columns are all collected so the client sees every problem in one 422 response.
+function validateRecordData(schema, data, { partial = false, readOnlyColumns = [] } = {}) {
+  const problems = [];
+  const coerced = {};
+
+  for (const [field, value] of Object.entries(data)) {
+    const column = schema.columns.find(c => c.name === field);
+    if (!column) {
+      problems.push({ field, message: 'Unknown column' });
+      continue;
+    }
+    if (column.generated) {
+      problems.push({ field, message: 'Generated column cannot be written' });
+      continue;
+    }
+    if (readOnlyColumns.includes(field)) {
+      problems.push({ field, message: 'Column is read-only' });
+      continue;
+    }
+    const result = coerceColumnValue(column, value);
+    if (result.error) {
+      problems.push({ field, message: result.error });
+    } else {
+      coerced[field] = result.value;
+    }
+  }
+
+  if (!partial) {
+    problems.push(...findMissingRequiredColumns(schema, data));
+  }
+
+  if (problems.length > 0) {
+    throw httpError(422, 'Validation failed', problems);
+  }
+  return coerced;
+}
+
+// Columns a new row can't do without (NOT NULL, no default, not generated)
+function findMissingRequiredColumns(schema, data) {
+  return schema.columns
+    .filter(column => !column.nullable && column.default === null && !column.autoIncrement && !column.generated)
+    .filter(column => data[column.name] === undefined)
+    .map(column => ({ field: column.name, message: 'Is required' }));
+}
+
+// Extract the record from any body shape extractDataFromRequest understands and
+// validate it against the table schema (and policy, when given). Throws 400 for
+// unusable bodies, 404 for unknown tables and 422 for field problems.
+async function extractRecordFromRequest(req, tableName, { partial = false, policy = null } = {}) {
+  let data;
+  try {
+    data = extractDataFromRequest(req);
+  } catch (e) {
+    console.error(`[${tableName}] Error processing request body:`, e);
+    console.error('Request body structure:', JSON.stringify(req.body, null, 2));
+    throw httpError(400, 'Invalid data format: Unable to parse JSON payload');
+  }
+
+  return prepareRecordData(tableName, data, { partial, policy });
+}
+
+// Shared by the single-record routes and the bulk endpoint
+async function prepareRecordData(tableName, data, { partial = false, policy = null, keepId = false } = {}) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    console.error(`[${tableName}] Parsed data is not an object:`, data);
+    throw httpError(400, 'Invalid data format: Failed to extract a valid JSON object from request');
+  }
+
+  // Remove ID if present: creates rely on auto-increment and updates must not overwrite the record ID
+  if (data.id !== undefined && !keepId) {
+    console.warn(`[${tableName}] ID property found in ${partial ? 'update' : 'create'} data, removing it:`, data.id);
+    delete data.id;
+  }
+
+  if (Object.keys(data).length === 0) {
+    console.log(`[${tableName}] No ${partial ? 'update' : 'insert'} data provided after processing.`);
+    throw httpError(400, partial ? 'No update data provided or data format is incorrect' : 'No insert data provided');
+  }
+
+  const schema = await getTableSchema(tableName);
+  if (!schema) {
+    throw httpError(404, 'Table not found');
+  }
+
+  return validateRecordData(schema, data, {
+    partial,
+    readOnlyColumns: policy ? policy.readOnlyColumns : []
+  });
+}
+
+// --- Record writes ---
+// These take `db` (the pool or a connection inside a transaction) so the
+// single-record routes and the bulk endpoint run the same SQL.
+
+async function insertRecord(db, tableName, data) {
+  const [result] = await db.query(`INSERT INTO ${tableName} SET ?`, data);
+  return { id: result.insertId, affectedRows: result.affectedRows };
+}
+
+// Try each key lookup in order; returns the lookup that matched and the row it
+// found (locked when db is inside a transaction), or null
+async function findRecordByKey(db, policy, rawKey) {
+  for (const lookup of buildKeyLookups(policy, rawKey)) {
+    const [rows] = await db.query(`SELECT * FROM ${policy.tableName} WHERE ${lookup.sql} LIMIT 1 FOR UPDATE`, lookup.params);
+    if (rows.length > 0) {
+      return { lookup, record: rows[0] };
+    }
+  }
+  return null;
+}
+
+// Returns the row before and after the update for the change event, or null
+async function updateRecordByKey(db, policy, rawKey, data) {
+  const found = await findRecordByKey(db, policy, rawKey);
+  if (!found) {
+    return null;
+  }
+  const { lookup, record: before } = found;
+  const [result] = await db.query(`UPDATE ${policy.tableName} SET ? WHERE ${lookup.sql}`, [data, ...lookup.params]);
+
+  const refetch = rekeyLookup(lookup, data);
+  const [rows] = await db.query(`SELECT * FROM ${policy.tableName} WHERE ${refetch.sql} LIMIT 1`, refetch.params);
+  return { lookup, affectedRows: result.affectedRows, before, after: rows[0] || null };
+}
+
+async function deleteRecordByKey(db, policy, rawKey) {
+  const found = await findRecordByKey(db, policy, rawKey);
+  if (!found) {
+    return null;
+  }
+  const { lookup, record: before } = found;
+  const [result] = await db.query(`DELETE FROM ${policy.tableName} WHERE ${lookup.sql}`, lookup.params);
+  return { lookup, affectedRows: result.affectedRows, before };
+}
+
+// Columns an upsert can match on: the policy's alternate key (usually guid) or its key
+function getDefaultConflictColumns(policy) {
+  if (policy.alternateKey) {
+    return [policy.alternateKey];
+  }
+  return Array.isArray(policy.key) ? policy.key : [policy.key];
+}
+
+// Column lists of the table's primary and unique indexes
+async function getUniqueIndexes(tableName) {
+  const [rows] = await pool.query(`
+    SELECT INDEX_NAME AS index_name, COLUMN_NAME AS column_name FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND NON_UNIQUE = 0
+    ORDER BY INDEX_NAME, SEQ_IN_INDEX
+  `, [tableName]);
+
+  const indexes = new Map();
+  for (const row of rows) {
+    if (!indexes.has(row.index_name)) {
+      indexes.set(row.index_name, []);
+    }
+    indexes.get(row.index_name).push(row.column_name);
+  }
+  return [...indexes.values()];
+}
+
+// Upserts need a primary or unique key made of exactly the conflict columns to
+// collide on: otherwise MySQL would just insert, or update a row the lookup in
+// upsertRecord didn't find
+async function validateConflictColumns(tableName, conflictColumns) {
+  const schema = await getTableSchema(tableName);
+  if (!schema) {
+    throw httpError(404, 'Table not found');
+  }
+  const unknown = conflictColumns.filter(columnName => !schema.columnNames.includes(columnName));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown upsert key column(s): ${unknown.join(', ')}`);
+  }
+  const uniqueIndexes = await getUniqueIndexes(tableName);
+  const matched = uniqueIndexes.some(columns => columns.length === conflictColumns.length
+    && columns.every(column => conflictColumns.includes(column)));
+  if (!matched) {
+    throw httpError(400, `${conflictColumns.join(', ')} is not a unique key and can't be used for upserts`);
+  }
+  return schema;
+}
+
+// INSERT ... ON DUPLICATE KEY UPDATE keyed by conflictColumns. The existing row
+// is looked up first (locked when db is inside a transaction) because with the
+// driver's FOUND_ROWS flag affectedRows can't tell an insert from a no-op update.
+async function upsertRecord(db, tableName, data, conflictColumns) {
+  const missing = conflictColumns.filter(column => data[column] === undefined || data[column] === null);
+  if (missing.length > 0) {
+    throw httpError(422, 'Validation failed', missing.map(field => ({ field, message: 'Is required for upsert' })));
+  }
+
+  const matchSql = conflictColumns.map(() => '?? = ?').join(' AND ');
+  const matchParams = conflictColumns.flatMap(column => [column, data[column]]);
+
+  const [existing] = await db.query(`SELECT * FROM ${tableName} WHERE ${matchSql} LIMIT 1 FOR UPDATE`, matchParams);
+  const schema = await getTableSchema(tableName);
+
+  // Upsert payloads are validated as partial updates; a create needs the rest
+  if (existing.length === 0) {
+    const problems = findMissingRequiredColumns(schema, data);
+    if (problems.length > 0) {
+      throw httpError(422, 'Validation failed', problems);
+    }
+  }
+
+  const updateData = { ...data };
+  conflictColumns.forEach(column => delete updateData[column]);
+
+  let sql = `INSERT INTO ${tableName} SET ?`;
+  const params = [data];
+  if (Object.keys(updateData).length > 0) {
+    sql += ' ON DUPLICATE KEY UPDATE ?';
+    params.push(updateData);
+  } else {
+    // Nothing to change besides the key itself: keep the existing row as is
+    sql = `INSERT IGNORE INTO ${tableName} SET ?`;
+  }
+  const [result] = await db.query(sql, params);
+
+  const created = existing.length === 0;
+  const [rows] = await db.query(`SELECT * FROM ${tableName} WHERE ${matchSql} LIMIT 1`, matchParams);
+  // The row's primary key; id only when that is a single column
+  const primaryKey = schema.columns.filter(column => column.key === 'PRI').map(column => column.name);
+  const row = rows[0] || null;
+  return {
+    id: row && primaryKey.length === 1 ? row[primaryKey[0]] : null,
+    key: row ? Object.fromEntries(primaryKey.map(column => [column, row[column]])) : null,
+    created,
+    affectedRows: result.affectedRows,
+    before: created ? null : existing[0],
+    after: rows[0] || null
+  };
+}
+
+// --- Record write events ---
+// Writes through /api/tables announce themselves: each create, update and
+// delete queues a <table>.created / .updated / .deleted event (source "api")
+// in the same transaction as the write, and the metrics and email follow once
+// it has committed. The pollers leave these rows alone: a created event shares
+// its dedupe key with the poller's, and updates and deletes reach the change
+// log tagged "api", which captureLoggedChanges skips. Actions a table's policy
+// leaves out of `events` aren't announced here; if the table is watched for
+// them, the pollers send them as they would for any other write.
+const EVENT_LOG_RETENTION_DAYS = parseInt(process.env.EVENT_LOG_RETENTION_DAYS || '30', 10);
+
+async function createRecordEventsTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS record_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        event_id CHAR(36) NOT NULL,
+        event_type VARCHAR(100) NOT NULL,
+        table_name VARCHAR(100) NOT NULL,
+        record_id VARCHAR(100) NULL,
+        source ENUM('api', 'polling') NOT NULL,
+        dedupe_key VARCHAR(191) NULL DEFAULT NULL,
+        payload LONGTEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_event_id (event_id),
+        UNIQUE KEY uniq_dedupe_key (dedupe_key),
+        INDEX idx_created_at (created_at)
+      )
+    `);
+    console.log('Record events table created successfully');
+  } catch (err) {
+    console.error('Error creating record events table:', err);
+  }
+}
+
+// Dedupe key of a record's created event, used by both the create routes and the poller
+function getCreatedEventKey(tableName, recordId) {
+  return `${tableName}:created:${recordId}`;
+}
+
+// Tags the connection's next writes for the change log triggers: "api" when
+// the route sends the event itself, cleared when the pollers should
+async function setChangeSource(connection, policy, action) {
+  await connection.query(`SET ${CHANGE_SOURCE_VARIABLE} = ?`, [policy.events.includes(action) ? 'api' : null]);
+}
+
+// Session variables outlive the request, so the tag is cleared before the
+// connection goes back to the pool (and the connection dropped if that fails)
+async function releaseWriteConnection(connection) {
+  try {
+    await connection.query(`SET ${CHANGE_SOURCE_VARIABLE} = NULL`);
+    connection.release();
+  } catch (err) {
+    connection.destroy();
+  }
+}
+
+// Queues the event for one write inside the caller's transaction and adds it
+// to `events` for finishWriteEvents. `before` is null for a create and `after`
+// for a delete; updates that changed nothing send nothing.
+async function queueWriteEvent(connection, policy, action, before, after, events) {
+  if (!policy.events.includes(action)) {
+    return null;
+  }
+
+  const tableName = policy.tableName;
+  let eventType = `${tableName}.${action}`;
+  let recordData = after || before;
+  let dedupeKey = null;
+
+  if (action === 'created') {
+    // Watched tables keep the poller's event name and filter; rows the filter
+    // holds back (pending subscribers, unmoderated comments) are announced by
+    // the routes that later confirm or approve them
+    const entry = changeCaptureRegistry.get(tableName);
+    if (entry && entry.mode === 'inserts') {
+      if (!matchesRecordFilter(after, entry.filter)) {
+        return null;
+      }
+      eventType = entry.event;
+      dedupeKey = getCreatedEventKey(tableName, after[entry.keyColumn]);
+    }
+  } else {
+    const changeDetails = buildRowChangeDetails(action, before, after);
+    if (action === 'updated' && changeDetails.changed_columns.length === 0) {
+      return null;
+    }
+    recordData = { ...recordData, _change_details: changeDetails };
+  }
+
+  const eventId = await sendWebhookNotification(eventType, recordData, { db: connection, tableName, source: 'api', dedupeKey });
+  if (eventId) {
+    events.push({ eventType, recordData });
+  }
+  return eventId;
+}
+
+// Reads back a new row (defaults included) and queues its created event.
+// Tables without an auto-increment id only have the values that were written.
+async function queueInsertEvent(connection, policy, insertId, data, events) {
+  if (!policy.events.includes('created')) {
+    return null;
+  }
+  let record = { ...data };
+  if (insertId) {
+    const [rows] = await connection.query(`SELECT * FROM ${policy.tableName} WHERE id = ?`, [insertId]);
+    record = rows[0] || { id: insertId, ...data };
+  }
+  return queueWriteEvent(connection, policy, 'created', null, record, events);
+}
+
+// Metrics and email for the events of a committed write or poll. Never throws;
+// the write routes don't wait for it so responses aren't held up by the mail server.
+async function finishWriteEvents(events) {
+  for (const { eventType, recordData } of events) {
+    await completeRecordEvent(eventType, recordData);
+  }
+}
+
+// Runs fn(connection, events) in a transaction and finishes the events it
+// queued once that has committed
+async function runRecordWrite(fn) {
+  const connection = await pool.getConnection();
+  const events = [];
+  let result;
+
+  try {
+    await connection.beginTransaction();
+    result = await fn(connection, events);
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback().catch(() => {});
+    throw err;
+  } finally {
+    await releaseWriteConnection(connection);
+  }
+
+  finishWriteEvents(events);
+  return result;
+}
+
+async function pruneRecordEvents() {
+  try {
+    const [result] = await pool.query(`
+      DELETE FROM record_events
+      WHERE created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+    `, [EVENT_LOG_RETENTION_DAYS]);
+    if (result.affectedRows > 0) {
+      console.log(`Pruned ${result.affectedRows} record event(s) older than ${EVENT_LOG_RETENTION_DAYS} days`);
+    }
+  } catch (err) {
+    console.error('Error pruning record events:', err);
+  }
+}
+
+// --- Bulk writes ---
+const MAX_BULK_OPERATIONS = 1000;
+
+// Policy operations each bulk op needs
+const BULK_OPERATION_POLICY = {
+  create: ['create'],
+  update: ['update'],
+  upsert: ['create', 'update'],
+  delete: ['delete']
+};
+
+// Normalize the bulk payload into one list of items: the operations array
+// followed by one delete item per key in `delete`. A bare array is taken as
+// the operations list.
+function parseBulkPayload(payload, policy, apiKey) {
+  if (Array.isArray(payload)) {
+    payload = { operations: payload };
+  }
+  if (typeof payload !== 'object' || payload === null) {
+    throw httpError(400, 'Invalid data format: Failed to extract a valid JSON object from request');
+  }
+
+  const mode = payload.mode || 'atomic';
+  if (!['atomic', 'continue'].includes(mode)) {
+    throw httpError(400, 'mode must be atomic or continue');
+  }
+
+  const operations = payload.operations || [];
+  const deleteKeys = payload.delete || [];
+  if (!Array.isArray(operations) || !Array.isArray(deleteKeys)) {
+    throw httpError(400, 'operations and delete must be arrays');
+  }
+
+  const items = [
+    ...operations,
+    ...deleteKeys.map(key => ({ op: 'delete', key }))
+  ];
+  if (items.length === 0) {
+    throw httpError(400, 'No bulk operations provided');
+  }
+  if (items.length > MAX_BULK_OPERATIONS) {
+    throw httpError(400, `At most ${MAX_BULK_OPERATIONS} operations are allowed per request`);
+  }
+
+  items.forEach((item, index) => {
+    const requiredOperations = BULK_OPERATION_POLICY[item?.op];
+    if (!requiredOperations) {
+      throw httpError(400, `Operation ${index}: op must be one of ${Object.keys(BULK_OPERATION_POLICY).join(', ')}`);
+    }
+    const disallowed = requiredOperations.find(op => !policy.operations.includes(op));
+    if (disallowed) {
+      throw httpError(405, `Operation ${index}: ${disallowed} is not allowed on ${policy.tableName}`);
+    }
+    if (item.op !== 'create' && !hasScope(apiKey, `${policy.tableName}:write`)) {
+      throw httpError(403, `Missing required scope: ${policy.tableName}:write`);
+    }
+    if ((item.op === 'update' || item.op === 'delete') && (item.key === undefined || item.key === null || item.key === '')) {
+      throw httpError(400, `Operation ${index}: key is required for ${item.op}`);
+    }
+  });
+
+  return { mode, items };
+}
+
+// Queues the item's event into `events` (see queueWriteEvent)
+async function runBulkItem(connection, policy, item, events) {
+  const tableName = policy.tableName;
+
+  if (item.op === 'delete') {
+    await setChangeSource(connection, policy, 'deleted');
+    const deleted = await deleteRecordByKey(connection, policy, String(item.key));
+    if (!deleted) {
+      throw httpError(404, 'Record not found');
+    }
+    await queueWriteEvent(connection, policy, 'deleted', deleted.before, null, events);
+    return { key: item.key, affectedRows: deleted.affectedRows };
+  }
+
+  const data = await prepareRecordData(tableName, { ...item.data }, {
+    partial: item.op === 'update',
+    policy
+  });
+
+  if (item.op === 'create') {
+    const { id, affectedRows } = await insertRecord(connection, tableName, data);
+    await queueInsertEvent(connection, policy, id, data, events);
+    return { insertId: id, affectedRows };
+  }
+
+  await setChangeSource(connection, policy, 'updated');
+
+  if (item.op === 'update') {
+    const updated = await updateRecordByKey(connection, policy, String(item.key), data);
+    if (!updated) {
+      throw httpError(404, 'Record not found');
+    }
+    await queueWriteEvent(connection, policy, 'updated', updated.before, updated.after, events);
+    return { key: item.key, affectedRows: updated.affectedRows };
+  }
+
+  const conflictColumns = item.on ? [].concat(item.on) : getDefaultConflictColumns(policy);
+  await validateConflictColumns(tableName, conflictColumns);
+  const upserted = await upsertRecord(connection, tableName, data, conflictColumns);
+  await queueWriteEvent(connection, policy, upserted.created ? 'created' : 'updated', upserted.before, upserted.after, events);
+  return { insertId: upserted.id, key: upserted.key, created: upserted.created, affectedRows: upserted.affectedRows };
+}
+
+function toBulkItemError(err) {
+  const result = { status: 'error', error: err.message };
+  if (err.details) {
+    result.details = err.details;
+  }
+  return result;
+}
+
+// --- List query options (pagination, sorting, projection) ---
+const MAX_PAGE_LIMIT = 1000;
+
+function parseColumnList(rawValue, columns, paramName) {
+  const names = String(rawValue).split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    throw httpError(400, `${paramName} must list at least one column`);
+  }
+  const unknown = names.filter(name => !columns.includes(name.replace(/^-/, '')));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown column(s) in ${paramName}: ${unknown.join(', ')}`);
+  }
+  return names;
+}
+
+function parseNonNegativeInt(rawValue, paramName) {
+  if (!/^\d+$/.test(String(rawValue))) {
+    throw httpError(400, `${paramName} must be a non-negative integer`);
+  }
+  return parseInt(rawValue, 10);
+}
+
+// Parse ?limit, ?offset, ?after, ?sort and ?fields for a table listing.
+// e.g. ?limit=20&sort=-created_at,title&fields=id,slug,title
+function parseListOptions(query, columns) {
+  const options = { limit: null, offset: 0, after: null, sort: [], fields: null };
+
+  if (query.limit !== undefined) {
+    options.limit = parseNonNegativeInt(query.limit, 'limit');
+    if (options.limit < 1 || options.limit > MAX_PAGE_LIMIT) {
+      throw httpError(400, `limit must be between 1 and ${MAX_PAGE_LIMIT}`);
+    }
+  }
+
+  if (query.offset !== undefined) {
+    options.offset = parseNonNegativeInt(query.offset, 'offset');
+  }
+
+  if (query.fields !== undefined) {
+    options.fields = parseColumnList(query.fields, columns, 'fields');
+    if (options.fields.some(name => name.startsWith('-'))) {
+      throw httpError(400, 'fields cannot contain sort prefixes');
+    }
+  }
+
+  if (query.sort !== undefined) {
+    options.sort = parseColumnList(query.sort, columns, 'sort').map(name => ({
+      column: name.replace(/^-/, ''),
+      direction: name.startsWith('-') ? 'DESC' : 'ASC'
+    }));
+  }
+
+  if (query.after !== undefined) {
+    // Cursor pagination walks the id column, so it can't be mixed with offsets or other orderings
+    if (!columns.includes('id')) {
+      throw httpError(400, 'after is only supported on tables with an id column');
+    }
+    if (query.offset !== undefined) {
+      throw httpError(400, 'after and offset cannot be combined');
+    }
+    if (options.sort.length > 1 || options.sort.some(s => s.column !== 'id')) {
+      throw httpError(400, 'after can only be combined with sort=id or sort=-id');
+    }
+    options.after = query.after;
+  }
+
+  // Keep pages stable: paginated listings default to id order when no sort is given
+  if (options.sort.length === 0 && (options.limit !== null || options.after !== null) && columns.includes('id')) {
+    options.sort = [{ column: 'id', direction: 'ASC' }];
+  }
+
+  return options;
+}
+
+// Run a paginated SELECT plus a COUNT(*) for the total. `where` is an optional
+// { sql, params } condition; the cursor condition is applied to the page only.
+async function fetchTablePage(tableName, options, where = null) {
+  const conditions = [];
+  const params = [];
+
+  if (where) {
+    conditions.push(`(${where.sql})`);
+    params.push(...where.params);
+  }
+
+  const [countRows] = await pool.query(
+    `SELECT COUNT(*) AS total FROM ${tableName}${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}`,
+    params
+  );
+
+  const pageConditions = [...conditions];
+  const pageParams = [];
+
+  // Pages ordered by id need it for the next cursor even when ?fields leaves it
+  // out; it is selected anyway and dropped from the rows below
+  const orderedById = options.sort.length === 1 && options.sort[0].column === 'id';
+  const addedId = Boolean(options.fields) && orderedById && !options.fields.includes('id');
+  if (options.fields) {
+    pageParams.push(addedId ? [...options.fields, 'id'] : options.fields);
+  }
+  pageParams.push(...params);
+
+  if (options.after !== null) {
+    const descending = options.sort[0]?.direction === 'DESC';
+    pageConditions.push(`id ${descending ? '<' : '>'} ?`);
+    pageParams.push(options.after);
+  }
+
+  let sql = `SELECT ${options.fields ? '??' : '*'} FROM ${tableName}`;
+  if (pageConditions.length) {
+    sql += ` WHERE ${pageConditions.join(' AND ')}`;
+  }
+  if (options.sort.length) {
+    sql += ` ORDER BY ${options.sort.map(s => `\`${s.column}\` ${s.direction}`).join(', ')}`;
+  }
+  if (options.limit !== null) {
+    sql += ' LIMIT ?';
+    pageParams.push(options.limit);
+    if (options.offset) {
+      sql += ' OFFSET ?';
+      pageParams.push(options.offset);
+    }
+  } else if (options.offset) {
+    // MySQL has no OFFSET without LIMIT; use the documented "all rows" limit
+    sql += ' LIMIT 18446744073709551615 OFFSET ?';
+    pageParams.push(options.offset);
+  }
+
+  const [rows] = await pool.query(sql, pageParams);
+
+  // A next cursor only makes sense when the page is ordered by id and came back full
+  let nextCursor = null;
+  if (orderedById && options.limit !== null && rows.length === options.limit) {
+    nextCursor = rows[rows.length - 1].id;
+  }
+  if (addedId) {
+    rows.forEach(row => delete row.id);
+  }
+
+  return { rows, total: countRows[0].total, nextCursor };
+}
+
+// --- Filter query language ---
+// Compiles ?filter[column][op]=value (plus nested and/or groups) into a
+// parameterized WHERE clause, e.g.
+//   ?filter[status][in]=draft,published&filter[created_at][gte]=2026-01-01
+//   ?filter[or][0][form_type][eq]=contact&filter[or][1][form_type][eq]=quote
+const MAX_FILTER_CONDITIONS = 50;
+const MAX_FILTER_DEPTH = 4;
+
+const FILTER_OPERATORS = {
+  eq: value => ({ sql: '?? = ?', params: [value] }),
+  ne: value => ({ sql: '?? <> ?', params: [value] }),
+  gt: value => ({ sql: '?? > ?', params: [value] }),
+  gte: value => ({ sql: '?? >= ?', params: [value] }),
+  lt: value => ({ sql: '?? < ?', params: [value] }),
+  lte: value => ({ sql: '?? <= ?', params: [value] }),
+  like: value => ({ sql: '?? LIKE ?', params: [value] }),
+  in: value => {
+    const values = toFilterList(value);
+    if (values.length === 0) {
+      throw httpError(400, 'in filter requires at least one value');
+    }
+    return { sql: '?? IN (?)', params: [values] };
+  },
+  between: value => {
+    const values = toFilterList(value);
+    if (values.length !== 2) {
+      throw httpError(400, 'between filter requires exactly two values');
+    }
+    return { sql: '?? BETWEEN ? AND ?', params: values };
+  },
+  is_null: value => {
+    const flag = String(value).toLowerCase();
+    if (!['true', 'false', '1', '0'].includes(flag)) {
+      throw httpError(400, 'is_null filter must be true or false');
+    }
+    return { sql: flag === 'true' || flag === '1' ? '?? IS NULL' : '?? IS NOT NULL', params: [] };
+  }
+};
+
+// Only these take a list; a repeated parameter (filter[status]=a&filter[status]=b)
+// arrives as an array and is rejected for every other operator
+const LIST_FILTER_OPERATORS = ['in', 'between'];
+
+function toFilterList(value) {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(v => v !== '');
+}
+
+function compileFilterGroup(filter, columns, joiner, state, depth) {
+  if (depth > MAX_FILTER_DEPTH) {
+    throw httpError(400, `Filter groups can be nested at most ${MAX_FILTER_DEPTH} levels deep`);
+  }
+  if (typeof filter !== 'object' || filter === null) {
+    throw httpError(400, 'Invalid filter format');
+  }
+
+  const parts = [];
+  const params = [];
+
+  // Arrays (filter[or][0]..., filter[or][1]...) hold one sub-filter per element
+  const entries = Array.isArray(filter)
+    ? filter.map(subFilter => ['and', subFilter])
+    : Object.entries(filter);
+
+  for (const [key, value] of entries) {
+    let compiled;
+
+    if (key === 'and' || key === 'or') {
+      const subFilters = Array.isArray(value) ? value : Object.entries(value || {}).map(([k, v]) => ({ [k]: v }));
+      const groupParts = subFilters.map(subFilter => compileFilterGroup(subFilter, columns, 'AND', state, depth + 1));
+      compiled = {
+        sql: groupParts.map(p => `(${p.sql})`).join(key === 'or' ? ' OR ' : ' AND '),
+        params: groupParts.flatMap(p => p.params)
+      };
+    } else {
+      if (!columns.includes(key)) {
+        throw httpError(400, `Unknown filter column: ${key}`);
+      }
+      // filter[status]=draft is shorthand for filter[status][eq]=draft
+      const conditions = typeof value === 'object' && value !== null && !Array.isArray(value)
+        ? Object.entries(value)
+        : [['eq', value]];
+
+      const columnParts = conditions.map(([operator, operand]) => {
+        if (!Object.prototype.hasOwnProperty.call(FILTER_OPERATORS, operator)) {
+          throw httpError(400, `Unknown filter operator: ${operator}`);
+        }
+        if (typeof operand === 'object' && operand !== null && !Array.isArray(operand)) {
+          throw httpError(400, `Invalid value for ${key} ${operator} filter`);
+        }
+        if (Array.isArray(operand) && !LIST_FILTER_OPERATORS.includes(operator)) {
+          throw httpError(400, `${key} ${operator} filter takes a single value`);
+        }
+        const buildCondition = FILTER_OPERATORS[operator];
+        state.count += 1;
+        if (state.count > MAX_FILTER_CONDITIONS) {
+          throw httpError(400, `At most ${MAX_FILTER_CONDITIONS} filter conditions are allowed`);
+        }
+        const condition = buildCondition(operand);
+        return { sql: condition.sql, params: [key, ...condition.params] };
+      });
+
+      compiled = {
+        sql: columnParts.map(p => p.sql).join(' AND '),
+        params: columnParts.flatMap(p => p.params)
+      };
+    }
+
+    if (compiled.sql) {
+      parts.push(`(${compiled.sql})`);
+      params.push(...compiled.params);
+    }
+  }
+
+  if (parts.length === 0) {
+    throw httpError(400, 'Filter groups cannot be empty');
+  }
+
+  return { sql: parts.join(` ${joiner} `), params };
+}
+
+// Returns { sql, params } with ?? placeholders for columns and ? for values,
+// or null when no filter was given
+function compileFilter(filter, columns) {
+  if (filter === undefined) {
+    return null;
+  }
+  return compileFilterGroup(filter, columns, 'AND', { count: 0 }, 0);
+}
+
+// Pagination metadata goes in headers by default so existing clients still get
+// a plain array; ?envelope=true wraps the rows with the same metadata instead
+function sendTablePage(res, page, options, envelope) {
+  res.set('X-Total-Count', String(page.total));
+  if (page.nextCursor !== null) {
+    res.set('X-Next-Cursor', String(page.nextCursor));
+  }
+
+  if (envelope === 'true' || envelope === '1') {
+    return res.json({
+      data: page.rows,
+      meta: {
+        total: page.total,
+        limit: options.limit,
+        offset: options.offset,
+        nextCursor: page.nextCursor
+      }
+    });
+  }
+
+  res.json(page.rows);
+}
+
+// --- Live change stream ---
+// GET /api/stream (Server-Sent Events) and the WebSocket at /api/stream/ws push
+// the events the pollers and write routes log in record_events, so dashboards
+// don't have to re-fetch tables on a timer. Every instance tails the log while
+// it has clients, which also picks up events queued by other instances.
+//
+// Events carry their log id, plus a stream position: the log id up to which
+// everything has been sent (see getStreamPosition). SSE sends the position as
+// the event id, so a reconnect with Last-Event-ID (or ?lastEventId=) replays
+// what came after it, for as long as EVENT_LOG_RETENTION_DAYS keeps it.
+// Delivery is at least once: a replay can repeat events, which clients can
+// tell apart by the envelope's id.
+//
+// Clients get events for the tables their key can read (<table>:read), narrowed
+// with ?tables=form_submits,subscribers and/or ?events=blog_posts.*, and the
+// policy's hidden columns are left out for non-admin keys. EventSource can't set
+// headers, so these two paths also take the key as ?api_key=.
+const STREAM_PATH = '/api/stream';
+const STREAM_WEBSOCKET_PATH = '/api/stream/ws';
+const STREAM_POLL_INTERVAL_MS = parseInt(process.env.STREAM_POLL_INTERVAL_MS || '1000', 10);
+const STREAM_BATCH_SIZE = 500;
+// Log ids are taken at insert but only show up at commit, so ids the tail
+// passes over are kept as open gaps and looked up again on every poll: events
+// queued early in a long transaction (a big bulk request) arrive late rather
+// than never. Ids burned by a rollback or an ignored duplicate never arrive and
+// are given up on after STREAM_GAP_MAX_AGE_MS.
+const STREAM_GAP_MAX_AGE_MS = 10 * 60 * 1000;
+const STREAM_MAX_GAPS = 5000;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS || '100', 10);
+const STREAM_RETRY_MS = 5000;
+// Streams outlive the request that opened them, so their keys are checked again
+const STREAM_KEY_CHECK_INTERVAL_MS = API_KEY_CACHE_TTL_MS;
+const streamClients = new Set();
+let streamCursor = null; // highest record_events id dispatched
+const streamGaps = new Map(); // record_events id not seen yet -> when it was passed over
+let streamTimer = null;
+let streamKeyCheckTimer = null;
+let streamPollInProgress = false;
+
+function parseStreamList(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+// Checks a subscription against the caller's scopes
+function parseStreamSubscription({ tables, events }, apiKey) {
+  const subscription = { tables: parseStreamList(tables), events: parseStreamList(events) };
+
+  for (const tableName of subscription.tables || []) {
+    if (!IDENTIFIER_PATTERN.test(tableName)) {
+      throw httpError(400, `Invalid table name "${tableName}"`);
+    }
+    if (!hasScope(apiKey, `${tableName}:read`)) {
+      throw httpError(403, `Missing required scope: ${tableName}:read`);
+    }
+  }
+  const invalidEvents = (subscription.events || []).filter(type => !EVENT_TYPE_PATTERN.test(type));
+  if (invalidEvents.length > 0) {
+    throw httpError(400, `Invalid event type(s): ${invalidEvents.join(', ')}`);
+  }
+  return subscription;
+}
+
+function parseLastEventId(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (!/^\d+$/.test(String(value))) {
+    throw httpError(400, 'Last-Event-ID must be a stream event id');
+  }
+  return parseInt(value, 10);
+}
+
+function matchesStreamSubscription(client, row) {
+  if (!hasScope(client.apiKey, `${row.table_name}:read`)) {
+    return false;
+  }
+  if (client.subscription.tables && !client.subscription.tables.includes(row.table_name)) {
+    return false;
+  }
+  return !client.subscription.events || matchesEventType(client.subscription.events, row.event_type);
+}
+
+// The logged envelope, without the columns the caller's key can't see
+// (including their before/after values in _change_details)
+function toStreamEvent(row, apiKey) {
+  const envelope = JSON.parse(row.payload);
+  const policy = getTablePolicy(row.table_name);
+  const hiddenColumns = policy ? getHiddenColumns(policy, apiKey) : [];
+  if (hiddenColumns.length === 0 || !envelope.data) {
+    return envelope;
+  }
+
+  const data = stripHiddenColumns(policy, apiKey, envelope.data);
+  if (data._change_details) {
+    const details = { ...data._change_details };
+    hiddenColumns.forEach(column => {
+      delete details[`previous_${column}`];
+      delete details[`new_${column}`];
+    });
+    if (Array.isArray(details.changed_columns)) {
+      details.changed_columns = details.changed_columns.filter(column => !hiddenColumns.includes(column));
+    }
+    data._change_details = details;
+  }
+  return { ...envelope, data };
+}
+
+// Every log id up to here has been dispatched or given up on. Gaps are added
+// in id order, so the first is the lowest.
+function getStreamPosition() {
+  const [firstGap] = streamGaps.keys();
+  return firstGap === undefined ? streamCursor : firstGap - 1;
+}
+
+function deliverStreamEvent(client, row) {
+  if (!matchesStreamSubscription(client, row)) {
+    return;
+  }
+  client.send(row.id, Math.min(row.id, getStreamPosition()), row.event_type, toStreamEvent(row, client.apiKey));
+}
+
+function dispatchStreamEvent(row) {
+  for (const client of streamClients) {
+    if (client.replaying) {
+      client.pending.push(row);
+    } else {
+      deliverStreamEvent(client, row);
+    }
+  }
+}
+
+async function pollStreamEvents() {
+  if (streamPollInProgress) {
+    return;
+  }
+  streamPollInProgress = true;
+
+  try {
+    const [late] = streamGaps.size > 0
+      ? await pool.query(`
+          SELECT id, event_type, table_name, payload FROM record_events
+          WHERE id IN (?)
+          ORDER BY id ASC
+        `, [[...streamGaps.keys()]])
+      : [[]];
+    const [rows] = await pool.query(`
+      SELECT id, event_type, table_name, payload FROM record_events
+      WHERE id > ?
+      ORDER BY id ASC
+      LIMIT ?
+    `, [streamCursor, STREAM_BATCH_SIZE]);
+
+    for (const row of late) {
+      streamGaps.delete(row.id);
+      dispatchStreamEvent(row);
+    }
+    for (const row of rows) {
+      for (let id = Math.max(streamCursor + 1, row.id - STREAM_MAX_GAPS); id < row.id; id++) {
+        streamGaps.set(id, Date.now());
+      }
+      streamCursor = row.id;
+      dispatchStreamEvent(row);
+    }
+
+    // Oldest first, so both cut-offs drop from the front
+    for (const [id, since] of streamGaps) {
+      if (Date.now() - since < STREAM_GAP_MAX_AGE_MS && streamGaps.size <= STREAM_MAX_GAPS) {
+        break;
+      }
+      streamGaps.delete(id);
+    }
+  } catch (err) {
+    console.error('Error reading record events for the live stream:', err);
+  } finally {
+    streamPollInProgress = false;
+  }
+}
+
+// The log is only tailed while someone is listening
+async function startStreamTail() {
+  if (streamTimer) {
+    return;
+  }
+  const [rows] = await pool.query('SELECT COALESCE(MAX(id), 0) AS max_id FROM record_events');
+  if (streamTimer) {
+    return;
+  }
+  streamCursor = rows[0].max_id;
+  streamGaps.clear();
+  streamTimer = setInterval(pollStreamEvents, STREAM_POLL_INTERVAL_MS);
+  streamKeyCheckTimer = setInterval(revalidateStreamClients, STREAM_KEY_CHECK_INTERVAL_MS);
+}
+
+function stopStreamTail() {
+  if (streamTimer && streamClients.size === 0) {
+    clearInterval(streamTimer);
+    clearInterval(streamKeyCheckTimer);
+    streamTimer = null;
+    streamKeyCheckTimer = null;
+  }
+}
+
+// Closes the streams of keys that have been revoked or have expired, and
+// applies scope changes to the rest. The bootstrap admin key (no id) can't change.
+async function revalidateStreamClients() {
+  const keyIds = [...new Set([...streamClients].map(client => client.apiKey.id).filter(id => id !== null))];
+  if (keyIds.length === 0) {
+    return;
+  }
+
+  try {
+    const [rows] = await pool.query(`
+      SELECT id, scopes FROM api_keys
+      WHERE id IN (?) AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    `, [keyIds]);
+    const scopes = new Map(rows.map(row => [row.id, JSON.parse(row.scopes)]));
+
+    for (const client of [...streamClients]) {
+      if (client.apiKey.id === null) {
+        continue;
+      }
+      if (!scopes.has(client.apiKey.id)) {
+        console.log(`Closing stream client (${client.transport}) of revoked or expired API key ${client.apiKey.id}`);
+        client.close('API key revoked or expired');
+        removeStreamClient(client);
+        continue;
+      }
+      client.apiKey.scopes = scopes.get(client.apiKey.id);
+    }
+  } catch (err) {
+    console.error('Error checking stream clients\' API keys:', err);
+  }
+}
+
+// Registers a client (send(id, position, eventType, envelope) writes one event
+// to it). With a lastEventId (a stream position) the client starts out
+// replaying: live events are held back until replayStreamEvents has caught it
+// up from the log.
+async function addStreamClient(client, lastEventId) {
+  if (streamClients.size >= STREAM_MAX_CLIENTS) {
+    throw httpError(503, 'Too many stream clients, try again later');
+  }
+  await startStreamTail();
+
+  Object.assign(client, { pending: [], closed: false });
+  setStreamPosition(client, lastEventId);
+  streamClients.add(client);
+  console.log(`Stream client connected (${client.transport}, key ${client.apiKey.name || client.apiKey.id}); ${streamClients.size} connected`);
+}
+
+function setStreamPosition(client, lastEventId) {
+  client.replayFrom = lastEventId === null ? streamCursor : lastEventId;
+  client.replayUpTo = streamCursor;
+  client.replaying = client.replayFrom < client.replayUpTo;
+}
+
+// Sends the logged events between the client's position and where the live
+// tail was when it was set, then whatever arrived live in the meantime (less
+// the late events the replay already found)
+async function replayStreamEvents(client) {
+  const replayed = new Set();
+  try {
+    while (client.replaying && client.replayFrom < client.replayUpTo && !client.closed) {
+      const [rows] = await pool.query(`
+        SELECT id, event_type, table_name, payload FROM record_events
+        WHERE id > ? AND id <= ?
+        ORDER BY id ASC
+        LIMIT ?
+      `, [client.replayFrom, client.replayUpTo, STREAM_BATCH_SIZE]);
+      if (rows.length === 0) {
+        break;
+      }
+      rows.forEach(row => {
+        replayed.add(row.id);
+        deliverStreamEvent(client, row);
+      });
+      client.replayFrom = rows[rows.length - 1].id;
+    }
+  } catch (err) {
+    // Dropping the client makes it reconnect and resume from what it got
+    console.error('Error replaying record events for a stream client:', err);
+    client.close();
+    removeStreamClient(client);
+    return;
+  }
+  client.replaying = false;
+  client.pending.splice(0)
+    .filter(row => !replayed.has(row.id))
+    .forEach(row => deliverStreamEvent(client, row));
+}
+
+function removeStreamClient(client) {
+  if (!streamClients.delete(client)) {
+    return;
+  }
+  client.closed = true;
+  stopStreamTail();
+  console.log(`Stream client disconnected (${client.transport}); ${streamClients.size} connected`);
+}
+
+// On shutdown, so clients reconnect (to another instance) straight away
+function closeStreamClients() {
+  for (const client of [...streamClients]) {
+    client.close();
+    removeStreamClient(client);
+  }
+}
+
+function rejectUpgrade(socket, status, message) {
+  const body = JSON.stringify({ error: message });
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || 'Error'}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+}
+
+// WebSocket clients pass their subscription as query parameters and can change
+// it later by sending { "type": "subscribe", "tables": [...], "events": [...],
+// "lastEventId": 42 }. Events arrive as
+// { "type": "event", "id": 43, "position": 43, "event": {...} }; lastEventId
+// takes the last position received.
+function attachStreamWebSocket(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== STREAM_WEBSOCKET_PATH) {
+      return rejectUpgrade(socket, 404, 'Not found');
+    }
+
+    let apiKey, subscription, lastEventId;
+    try {
+      const plaintextKey = readApiKeyFromRequest(req, { allowQuery: true });
+      apiKey = plaintextKey ? await findApiKey(plaintextKey) : null;
+      if (!apiKey) {
+        return rejectUpgrade(socket, 401, plaintextKey ? 'Invalid or revoked API key' : 'API key required');
+      }
+      subscription = parseStreamSubscription({
+        tables: url.searchParams.get('tables'),
+        events: url.searchParams.get('events')
+      }, apiKey);
+      lastEventId = parseLastEventId(url.searchParams.get('lastEventId'));
+    } catch (err) {
+      if (!err.status) {
+        console.error('Error authenticating stream WebSocket:', err);
+      }
+      return rejectUpgrade(socket, err.status || 500, err.status ? err.message : 'Unable to open stream');
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => handleStreamSocket(ws, apiKey, subscription, lastEventId));
+  });
+}
+
+async function handleStreamSocket(ws, apiKey, subscription, lastEventId) {
+  const client = {
+    transport: 'websocket',
+    apiKey,
+    subscription,
+    send: (id, position, eventType, envelope) => ws.send(JSON.stringify({ type: 'event', id, position, event: envelope })),
+    // Without a reason the server is restarting; with one the key can't stream any more
+    close: reason => (reason ? ws.close(1008, reason) : ws.close(1012, 'Server restarting'))
+  };
+  const sendError = err => ws.send(JSON.stringify({ type: 'error', error: err.message }));
+
+  let alive = true;
+  const heartbeat = setInterval(() => {
+    if (!alive) {
+      return ws.terminate();
+    }
+    alive = false;
+    ws.ping();
+  }, STREAM_HEARTBEAT_MS);
+  ws.on('pong', () => {
+    alive = true;
+  });
+  ws.on('close', () => {
+    clearInterval(heartbeat);
+    removeStreamClient(client);
+  });
+
+  ws.on('message', async message => {
+    try {
+      let request;
+      try {
+        request = JSON.parse(message.toString());
+      } catch (err) {
+        throw httpError(400, 'Messages must be JSON');
+      }
+      if (!request || request.type !== 'subscribe') {
+        throw httpError(400, 'Unknown message type');
+      }
+      if (!streamClients.has(client) || client.replaying) {
+        throw httpError(409, 'Wait until the stream has caught up before resubscribing');
+      }
+      client.subscription = parseStreamSubscription(request, apiKey);
+      const resumeFrom = parseLastEventId(request.lastEventId);
+      if (resumeFrom !== null) {
+        setStreamPosition(client, resumeFrom);
+      }
+      ws.send(JSON.stringify({ type: 'subscribed', ...client.subscription }));
+      await replayStreamEvents(client);
+    } catch (err) {
+      if (!err.status) {
+        console.error('Error handling stream message:', err);
+      }
+      sendError(err);
+    }
+  });
+
+  try {
+    await addStreamClient(client, lastEventId);
+    ws.send(JSON.stringify({ type: 'subscribed', ...subscription }));
+    await replayStreamEvents(client);
+  } catch (err) {
+    if (!err.status) {
+      console.error('Error opening stream WebSocket:', err);
+    }
+    sendError(err);
+    ws.close(err.status === 503 ? 1013 : 1011);
+  }
+}
+
+// Test connection endpoint
+app.get('/api/test', async (req, res) => {
+  try {
+    const [results] = await pool.query('SELECT 1+1 AS result');
+    res.json({ message: 'Database connection successful', result: results[0] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Schema introspection: every table with its columns
+app.get('/api/schema', requireScope('admin'), async (req, res) => {
+  try {
+    const tables = await getDatabaseSchema();
+    res.json({ tables: tables.map(schema => ({ name: schema.tableName, columns: schema.columns })) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Schema for one exposed table (columns, types, nullability, keys, defaults)
+// Pass ?refresh=true after a migration to bypass the cache
+app.get('/api/schema/:tableName', requireTableOperation(), requireTableScope('read'), async (req, res) => {
+  const tableName = req.params.tableName;
+  const policy = req.tablePolicy;
+
+  try {
+    if (req.query.refresh === 'true') {
+      clearTableSchemaCache(tableName);
+    }
+    const schema = await getTableSchema(tableName);
+    if (!schema) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    const visibleColumns = getVisibleColumns(policy, schema.columnNames, req.apiKey);
+    res.json({
+      name: schema.tableName,
+      operations: policy.operations,
+      key: policy.key,
+      columns: schema.columns
+        .filter(column => visibleColumns.includes(column.name))
+        .map(column => ({ ...column, readOnly: policy.readOnlyColumns.includes(column.name) }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get table data endpoint
+app.get('/api/tables/:tableName', requireTableOperation('list'), requireTableScope('read'), async (req, res) => {
+  const tableName = req.params.tableName;
+  
+  try {
+    const columns = await getTableColumns(tableName);
+    if (columns.length === 0) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    // Hidden columns can't be projected, sorted or filtered on
+    const visibleColumns = getVisibleColumns(req.tablePolicy, columns, req.apiKey);
+
+    // e.g. GET /api/tables/blog_posts?limit=20&after=120&sort=-id&fields=id,slug,title
+    const listOptions = parseListOptions(req.query, visibleColumns);
+    if (!listOptions.fields && visibleColumns.length < columns.length) {
+      listOptions.fields = visibleColumns;
+    }
+    const where = compileFilter(req.query.filter, visibleColumns);
+    const page = await fetchTablePage(tableName, listOptions, where);
+    sendTablePage(res, page, listOptions, req.query.envelope);
+  } catch (err) {
+    if (!err.status) {
+      console.error(`[${tableName}] List error:`, err);
+    }
+    sendErrorResponse(res, err);
+  }
+});
+
+// Search records.
+// Legacy single match: GET /api/tables/blog_posts/search?field=slug&value=my-post returns one record (or null).
+// Filtered list: GET /api/tables/blog_posts/search?filter[status][in]=draft,published&limit=20
+// returns every matching row and accepts the same pagination params as the list route.
+app.get('/api/tables/:tableName/search', requireTableOperation('list'), requireTableScope('read'), async (req, res) => {
+  const tableName = req.params.tableName;
+  const { field, value, filter } = req.query;
+
+  if (filter === undefined) {
+    if (!field || !value) {
+      return res.status(400).json({ error: 'Either filter or both field and value query params are required' });
+    }
+    if (!/^[a-zA-Z0-9_]+$/.test(field)) {
+      return res.status(400).json({ error: 'Invalid field name' });
+    }
+  }
+
+  try {
+    const columns = await getTableColumns(tableName);
+    if (columns.length === 0) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+    const visibleColumns = getVisibleColumns(req.tablePolicy, columns, req.apiKey);
+
+    if (filter === undefined) {
+      if (!visibleColumns.includes(field)) {
+        return res.status(400).json({ error: 'Invalid field name' });
+      }
+      const [results] = await pool.query(`SELECT * FROM ${tableName} WHERE ?? = ? LIMIT 1`, [field, value]);
+      return res.json(stripHiddenColumns(req.tablePolicy, req.apiKey, results[0]) || null);
+    }
+
+    const listOptions = parseListOptions(req.query, visibleColumns);
+    if (!listOptions.fields && visibleColumns.length < columns.length) {
+      listOptions.fields = visibleColumns;
+    }
+    const where = compileFilter(filter, visibleColumns);
+    const page = await fetchTablePage(tableName, listOptions, where);
+    sendTablePage(res, page, listOptions, req.query.envelope);
+  } catch (err) {
+    if (!err.status) {
+      console.error(`[${tableName}] Search error:`, err);
+    }
+    sendErrorResponse(res, err);
+  }
+});
+
+// Get specific record by its policy key (id, guid or composite)
+app.get('/api/tables/:tableName/:idOrGuid', requireTableOperation('get'), requireTableScope('read'), async (req, res) => {
+  const tableName = req.params.tableName;
+  const idOrGuid = req.params.idOrGuid;
+  
+  try {
+    // Try each lookup in order (e.g. id first when numeric, then guid)
+    for (const lookup of buildKeyLookups(req.tablePolicy, idOrGuid)) {
+      const [results] = await pool.query(`SELECT * FROM ${tableName} WHERE ${lookup.sql} LIMIT 1`, lookup.params);
+      
+      if (results.length > 0) {
+        return res.json(stripHiddenColumns(req.tablePolicy, req.apiKey, results[0]));
+      }
+    }
+    
+    res.json({});
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// Create record with flexible body handling
+app.post('/api/tables/:tableName', requireTableOperation('create'), requireTableScope('insert'), async (req, res) => {
+  const tableName = req.params.tableName;
+  let data;
+
+  try {
+    data = await extractRecordFromRequest(req, tableName, { policy: req.tablePolicy });
+  } catch (err) {
+    return sendErrorResponse(res, err);
+  }
+
+  try {
+    console.log(`[${tableName}] Executing INSERT query with data:`, JSON.stringify(data));
+    const newRecordId = await runRecordWrite(async (connection, events) => {
+      const { id } = await insertRecord(connection, tableName, data);
+      await queueInsertEvent(connection, req.tablePolicy, id, data, events);
+      return id;
+    });
+    console.log(`[${tableName}] Insert successful, new id: ${newRecordId}`);
+
+    res.json({ id: newRecordId, ...data });
+  } catch (err) {
+    console.error(`[${tableName}] Database error during INSERT:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Bulk create/update/upsert plus batch delete, all inside one transaction.
+// Accepts the same wrapped body/body.$ shapes as the single-record routes.
+// {
+//   "mode": "atomic",  // default; "continue" commits every item that succeeded
+//   "operations": [
+//     { "op": "create", "data": { "post_id": 76, "tag_id": 5 } },
+//     { "op": "update", "key": "42", "data": { "status": "active" } },
+//     { "op": "upsert", "on": "email", "data": { "email": "a@example.com", "name": "A" } }
+//   ],
+//   "delete": ["17", "18"]
+// }
+app.post('/api/tables/:tableName/bulk', requireTableOperation(), requireTableScope('insert'), async (req, res) => {
+  const tableName = req.params.tableName;
+  let mode, items;
+
+  try {
+    ({ mode, items } = parseBulkPayload(extractDataFromRequest(req), req.tablePolicy, req.apiKey));
+  } catch (err) {
+    if (!err.status) {
+      console.error(`[${tableName}] Error processing bulk request body:`, err);
+      err = httpError(400, 'Invalid data format: Unable to parse JSON payload');
+    }
+    return sendErrorResponse(res, err);
+  }
+
+  console.log(`[${tableName}] Executing bulk request with ${items.length} operation(s) in ${mode} mode`);
+
+  let connection;
+  const results = [];
+  const events = [];
+  let failure = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    for (const [index, item] of items.entries()) {
+      const result = { index, op: item.op };
+
+      if (failure && mode === 'atomic') {
+        results.push({ ...result, status: 'skipped' });
+        continue;
+      }
+
+      // Kept apart until the item succeeds, so a rolled back item sends nothing
+      const itemEvents = [];
+      try {
+        // In continue mode a savepoint per item lets one failure roll back only that item
+        if (mode === 'continue') {
+          await connection.query('SAVEPOINT bulk_item');
+        }
+        Object.assign(result, { status: 'ok' }, await runBulkItem(connection, req.tablePolicy, item, itemEvents));
+        events.push(...itemEvents);
+      } catch (err) {
+        if (!err.status) {
+          console.error(`[${tableName}] Bulk operation ${index} (${item.op}) failed:`, err);
+        }
+        if (mode === 'continue') {
+          await connection.query('ROLLBACK TO SAVEPOINT bulk_item');
+        }
+        Object.assign(result, toBulkItemError(err));
+        failure = failure || err;
+      }
+
+      results.push(result);
+    }
+
+    if (failure && mode === 'atomic') {
+      await connection.rollback();
+      results.forEach(result => {
+        if (result.status === 'ok') {
+          result.status = 'rolled_back';
+        }
+      });
+      console.log(`[${tableName}] Bulk request rolled back: ${failure.message}`);
+      return res.status(failure.status || 500).json({
+        error: 'Bulk request rolled back',
+        committed: false,
+        mode,
+        results
+      });
+    }
+
+    await connection.commit();
+    finishWriteEvents(events);
+
+    const failed = results.filter(result => result.status === 'error').length;
+    console.log(`[${tableName}] Bulk request committed: ${results.length - failed} succeeded, ${failed} failed`);
+    res.status(failed > 0 ? 207 : 200).json({
+      committed: true,
+      mode,
+      succeeded: results.length - failed,
+      failed,
+      results
+    });
+  } catch (err) {
+    console.error(`[${tableName}] Database error during bulk request:`, err);
+    if (connection) {
+      await connection.rollback().catch(() => {});
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (connection) {
+      await releaseWriteConnection(connection);
+    }
+  }
+});
+
+// Upsert by a unique column: create the record if no row has that value, update it otherwise.
+// e.g. PUT /api/tables/subscribers/upsert/email/jane@example.com
+// PUT /api/tables/:tableName/:idOrGuid?upsert=true does the same keyed on the table's guid
+// (its alternate key) or, failing that, its primary key.
+async function handleUpsert(req, res, conflictColumns, keyValues) {
+  const tableName = req.params.tableName;
+  const policy = req.tablePolicy;
+  let data;
+
+  if (!policy.operations.includes('create') || !policy.operations.includes('update')) {
+    return res.status(405).json({ error: `Upsert is not allowed on ${tableName}` });
+  }
+
+  try {
+    await validateConflictColumns(tableName, conflictColumns);
+    data = await extractRecordFromRequest(req, tableName, { partial: true, policy });
+    // The key comes from the URL so it can't disagree with the body
+    const schema = await getTableSchema(tableName);
+    const keyData = validateRecordData(
+      schema,
+      Object.fromEntries(conflictColumns.map((column, i) => [column, keyValues[i]])),
+      { partial: true }
+    );
+    Object.assign(data, keyData);
+  } catch (err) {
+    return sendErrorResponse(res, err);
+  }
+
+  try {
+    console.log(`[${tableName}] Executing UPSERT on ${conflictColumns.join(',')}: ${keyValues.join(',')} with data:`, JSON.stringify(data));
+    const upserted = await runRecordWrite(async (connection, events) => {
+      await setChangeSource(connection, policy, 'updated');
+      const result = await upsertRecord(connection, tableName, data, conflictColumns);
+      await queueWriteEvent(connection, policy, result.created ? 'created' : 'updated', result.before, result.after, events);
+      return result;
+    });
+
+    const action = upserted.created ? 'created' : 'updated';
+    console.log(`[${tableName}] Upsert successful (${action}), key: ${JSON.stringify(upserted.key)}`);
+
+    res.status(upserted.created ? 201 : 200).json({
+      action,
+      created: upserted.created,
+      id: upserted.id,
+      key: upserted.key,
+      record: stripHiddenColumns(policy, req.apiKey, upserted.after) || null
+    });
+  } catch (err) {
+    if (!err.status) {
+      console.error(`[${tableName}] Database error during UPSERT:`, err);
+    }
+    sendErrorResponse(res, err);
+  }
+}
+
+app.put('/api/tables/:tableName/upsert/:column/:value', requireTableOperation(), requireTableScope('write'), async (req, res) => {
+  const { column, value } = req.params;
+
+  try {
+    const columns = await getTableColumns(req.params.tableName);
+    if (!getVisibleColumns(req.tablePolicy, columns, req.apiKey).includes(column)) {
+      return res.status(400).json({ error: 'Invalid field name' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  await handleUpsert(req, res, [column], [value]);
+});
+
+// Update record with flexible body handling
+app.put('/api/tables/:tableName/:idOrGuid', requireTableOperation('update'), requireTableScope('write'), async (req, res) => {
+  const tableName = req.params.tableName;
+  const idOrGuid = req.params.idOrGuid;
+  let data;
+
+  if (req.query.upsert === 'true') {
+    const conflictColumns = getDefaultConflictColumns(req.tablePolicy);
+    const keyValues = conflictColumns.length > 1 ? idOrGuid.split(',') : [idOrGuid];
+    if (keyValues.length !== conflictColumns.length) {
+      return res.status(400).json({ error: `Expected ${conflictColumns.length} comma-separated key values (${conflictColumns.join(', ')})` });
+    }
+    return handleUpsert(req, res, conflictColumns, keyValues);
+  }
+
+  // Allow guid updates only when explicitly the sole field (migration/sync use case)
+  // Previously stripped guid to prevent accidental overwrites, but sync needs it
+  try {
+    data = await extractRecordFromRequest(req, tableName, { partial: true, policy: req.tablePolicy });
+  } catch (err) {
+    return sendErrorResponse(res, err);
+  }
+
+  try {
+    // Tries each key lookup in order (e.g. id first when numeric, then guid)
+    console.log(`[${tableName}] Executing UPDATE query for ${idOrGuid} with data:`, JSON.stringify(data));
+    const updated = await runRecordWrite(async (connection, events) => {
+      await setChangeSource(connection, req.tablePolicy, 'updated');
+      const result = await updateRecordByKey(connection, req.tablePolicy, idOrGuid, data);
+      if (result) {
+        await queueWriteEvent(connection, req.tablePolicy, 'updated', result.before, result.after, events);
+      }
+      return result;
+    });
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+    
+    console.log(`[${tableName}] Update successful for ${updated.lookup.identifier}: ${idOrGuid}`);
+    
+    res.json(stripHiddenColumns(req.tablePolicy, req.apiKey, updated.after) || { message: 'Record updated successfully' });
+  } catch (err) {
+    if (!err.status) {
+      console.error(`[${tableName}] Database error during UPDATE:`, err);
+    }
+    sendErrorResponse(res, err);
+  }
+});
+
+// Delete by multiple field conditions (for junction tables with composite PKs)
+// e.g. DELETE /api/tables/blog_post_tags/where?post_id=76&tag_id=5
+app.delete('/api/tables/:tableName/where', requireTableOperation('deleteWhere'), requireTableScope('write'), async (req, res) => {
+  const tableName = req.params.tableName;
+  const conditions = req.query;
+
+  const fields = Object.keys(conditions);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'At least one query parameter is required' });
+  }
+  if (fields.some(f => !/^[a-zA-Z0-9_]+$/.test(f))) {
+    return res.status(400).json({ error: 'Invalid field name' });
+  }
+
+  try {
+    const columns = await getTableColumns(tableName);
+    const unknownFields = fields.filter(f => !columns.includes(f));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ error: `Unknown column(s): ${unknownFields.join(', ')}` });
+    }
+
+    const whereClauses = fields.map(f => `\`${f}\` = ?`).join(' AND ');
+    const values = fields.map(f => conditions[f]);
+    console.log(`[${tableName}] Executing DELETE WHERE ${whereClauses}`, values);
+    const affectedRows = await runRecordWrite(async (connection, events) => {
+      const policy = req.tablePolicy;
+      await setChangeSource(connection, policy, 'deleted');
+      // Read first so each deleted row gets its event
+      const [rows] = policy.events.includes('deleted')
+        ? await connection.query(`SELECT * FROM ${tableName} WHERE ${whereClauses} FOR UPDATE`, values)
+        : [[]];
+      const [deleteResult] = await connection.query(`DELETE FROM ${tableName} WHERE ${whereClauses}`, values);
+      for (const row of rows) {
+        await queueWriteEvent(connection, policy, 'deleted', row, null, events);
+      }
+      return deleteResult.affectedRows;
+    });
+
+    if (affectedRows > 0) {
+      return res.json({ message: 'Record(s) deleted successfully', affectedRows });
+    }
+    return res.status(404).json({ error: 'No matching records found' });
+  } catch (err) {
+    console.error(`[${tableName}] Database error during DELETE WHERE:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete record
+app.delete('/api/tables/:tableName/:idOrGuid', requireTableOperation('delete'), requireTableScope('write'), async (req, res) => {
+  const tableName = req.params.tableName;
+  const idOrGuid = req.params.idOrGuid;
+  
+  try {
+    // Tries each key lookup in order (e.g. id first when numeric, then guid)
+    console.log(`[${tableName}] Executing DELETE for ${idOrGuid}`);
+    const deleted = await runRecordWrite(async (connection, events) => {
+      await setChangeSource(connection, req.tablePolicy, 'deleted');
+      const result = await deleteRecordByKey(connection, req.tablePolicy, idOrGuid);
+      if (result) {
+        await queueWriteEvent(connection, req.tablePolicy, 'deleted', result.before, null, events);
+      }
+      return result;
+    });
+    
+    if (deleted) {
+      return res.json({ message: 'Record deleted successfully', identifier: deleted.lookup.identifier, value: idOrGuid });
+    }
+    
+    // If still no records affected, return 404
+    return res.status(404).json({ error: 'Record not found' });
+  } catch (err) {
+    if (!err.status) {
+      console.error(`[${tableName}] Database error during DELETE:`, err);
+    }
+    sendErrorResponse(res, err);
+  }
+});
+
+// Issue a new API key. The plaintext key is only returned in this response.
+// e.g. { "name": "website-forms", "scopes": ["form_submits:insert"] }
+app.post('/api/keys', requireScope('admin'), async (req, res) => {
+  const { name, scopes, expiresAt } = req.body || {};
+
+  try {
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      throw httpError(400, 'name is required (max 100 characters)');
+    }
+    const validScopes = validateScopes(scopes);
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && isNaN(expiry.getTime())) {
+      throw httpError(400, 'expiresAt must be a valid date');
+    }
+
+    const { plaintextKey, keyPrefix, keyHash } = generateApiKey();
+    const [result] = await pool.query(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [name, keyPrefix, keyHash, JSON.stringify(validScopes), expiry]);
+
+    const [rows] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [result.insertId]);
+    console.log(`Issued API key ${result.insertId} (${name}) with scopes: ${validScopes.join(', ')}`);
+    res.status(201).json({ ...toApiKeyResponse(rows[0]), key: plaintextKey });
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// List API keys (never includes the key itself). Pass ?includeRevoked=true to see revoked keys.
+app.get('/api/keys', requireScope('admin'), async (req, res) => {
+  try {
+    const [rows] = await pool.query(`
+      SELECT * FROM api_keys
+      ${req.query.includeRevoked === 'true' ? '' : 'WHERE revoked_at IS NULL'}
+      ORDER BY id ASC
+    `);
+    res.json(rows.map(toApiKeyResponse));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rotate a key: issue a replacement with the same name and scopes. The old key
+// keeps working for graceSeconds (default 0) so clients can switch over.
+app.post('/api/keys/:id/rotate', requireScope('admin'), async (req, res) => {
+  const graceSeconds = req.body?.graceSeconds === undefined ? 0 : Number(req.body.graceSeconds);
+  if (!Number.isInteger(graceSeconds) || graceSeconds < 0) {
+    return res.status(400).json({ error: 'graceSeconds must be a non-negative integer' });
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      'SELECT * FROM api_keys WHERE id = ? AND revoked_at IS NULL FOR UPDATE',
+      [req.params.id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    const oldKey = rows[0];
+
+    const { plaintextKey, keyPrefix, keyHash } = generateApiKey();
+    const [result] = await connection.query(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [oldKey.name, keyPrefix, keyHash, oldKey.scopes, oldKey.expires_at]);
+
+    if (graceSeconds > 0) {
+      await connection.query(
+        'UPDATE api_keys SET expires_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND) WHERE id = ?',
+        [graceSeconds, oldKey.id]
+      );
+    } else {
+      await connection.query('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [oldKey.id]);
+    }
+
+    await connection.commit();
+    evictApiKeyFromCache(oldKey.id);
+
+    const [newRows] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [result.insertId]);
+    console.log(`Rotated API key ${oldKey.id} -> ${result.insertId} (grace: ${graceSeconds}s)`);
+    res.status(201).json({ ...toApiKeyResponse(newRows[0]), key: plaintextKey, replacedKeyId: oldKey.id });
+  } catch (err) {
+    if (connection) {
+      await connection.rollback();
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Revoke a key immediately
+app.delete('/api/keys/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    evictApiKeyFromCache(Number(req.params.id));
+    console.log(`Revoked API key ${req.params.id}`);
+    res.json({ message: 'API key revoked', id: Number(req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List webhook subscriptions
+app.get('/api/webhook-subscriptions', requireScope('admin'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM webhook_subscriptions ORDER BY id ASC');
+    res.json(rows.map(toSubscription));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/webhook-subscriptions/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    res.json(toSubscription(rows[0]));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a subscription, e.g.
+// {
+//   "name": "Sales leads",
+//   "targetUrl": "https://example.com/hooks/leads",
+//   "eventTypes": ["form_submits"],
+//   "filters": { "form_type": "contact" },
+//   "headers": { "X-Flow-Key": "..." }
+// }
+app.post('/api/webhook-subscriptions', requireScope('admin'), async (req, res) => {
+  try {
+    const input = parseSubscriptionInput(req.body || {});
+    input.secret = generateWebhookSecret();
+    const [result] = await pool.query('INSERT INTO webhook_subscriptions SET ?', input);
+    invalidateSubscriptionCache();
+
+    const [rows] = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = ?', [result.insertId]);
+    console.log(`Created webhook subscription ${result.insertId} (${input.name})`);
+    res.status(201).json({ ...toSubscription(rows[0]), secret: input.secret });
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// Update any subset of a subscription's fields
+app.put('/api/webhook-subscriptions/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const input = parseSubscriptionInput(req.body || {}, { partial: true });
+    if (Object.keys(input).length === 0) {
+      return res.status(400).json({ error: 'No update data provided' });
+    }
+
+    const [result] = await pool.query('UPDATE webhook_subscriptions SET ? WHERE id = ?', [input, req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    invalidateSubscriptionCache();
+
+    const [rows] = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = ?', [req.params.id]);
+    console.log(`Updated webhook subscription ${req.params.id}`);
+    res.json(toSubscription(rows[0]));
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// Issue a new signing secret. Deliveries (including retries) are signed with it
+// immediately and, for { "overlapSeconds": n } (default WEBHOOK_SECRET_OVERLAP_SECONDS),
+// with the previous secret as well so receivers can switch over. 0 cuts over at once.
+app.post('/api/webhook-subscriptions/:id/rotate-secret', requireScope('admin'), async (req, res) => {
+  try {
+    const overlapSeconds = req.body?.overlapSeconds ?? WEBHOOK_SECRET_OVERLAP_SECONDS;
+    if (!Number.isInteger(overlapSeconds) || overlapSeconds < 0) {
+      throw httpError(400, 'overlapSeconds must be a non-negative integer');
+    }
+
+    const secret = generateWebhookSecret();
+    // Assignments run left to right, so previous_secret takes the old value
+    const [result] = await pool.query(`
+      UPDATE webhook_subscriptions
+      SET previous_secret = IF(? > 0, secret, NULL),
+          previous_secret_expires_at = IF(? > 0, NOW() + INTERVAL ? SECOND, NULL),
+          secret = ?
+      WHERE id = ?
+    `, [overlapSeconds, overlapSeconds, overlapSeconds, secret, req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const [rows] = await pool.query('SELECT previous_secret_expires_at FROM webhook_subscriptions WHERE id = ?', [req.params.id]);
+    console.log(`Rotated signing secret for webhook subscription ${req.params.id}`);
+    res.json({ id: Number(req.params.id), secret, previousSecretExpiresAt: rows[0]?.previous_secret_expires_at ?? null });
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// Delete a subscription. Its undelivered outbox events are dead-lettered on their next attempt.
+app.delete('/api/webhook-subscriptions/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const [result] = await pool.query('DELETE FROM webhook_subscriptions WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    invalidateSubscriptionCache();
+    console.log(`Deleted webhook subscription ${req.params.id}`);
+    res.json({ message: 'Subscription deleted', id: Number(req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List outbox events, newest first. Optional ?status=pending|delivering|delivered|dead,
+// ?eventType=form_submits, ?subscriptionId, ?limit (default 100) and ?before=<id> to page back.
+app.get('/api/webhook-outbox', requireScope('admin'), async (req, res) => {
+  const { status, eventType, before } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_PAGE_LIMIT);
+
+  if (status && !OUTBOX_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (eventType) {
+      conditions.push('event_type = ?');
+      params.push(eventType);
+    }
+    if (req.query.subscriptionId) {
+      conditions.push('subscription_id = ?');
+      params.push(req.query.subscriptionId);
+    }
+    if (before) {
+      conditions.push('id < ?');
+      params.push(before);
+    }
+
+    const [rows] = await pool.query(`
+      SELECT * FROM webhook_outbox
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `, [...params, limit]);
+
+    const [counts] = await pool.query('SELECT status, COUNT(*) AS count FROM webhook_outbox GROUP BY status');
+
+    res.json({
+      counts: Object.fromEntries(counts.map(row => [row.status, row.count])),
+      events: rows.map(toOutboxEventResponse)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replay one event: back to pending with a fresh attempt budget
+app.post('/api/webhook-outbox/:id/replay', requireScope('admin'), async (req, res) => {
+  try {
+    const [result] = await pool.query(`
+      UPDATE webhook_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, locked_at = NULL
+      WHERE id = ? AND status <> 'delivering'
+    `, [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Outbox event not found or currently being delivered' });
+    }
+    console.log(`Replaying webhook outbox event ${req.params.id}`);
+    res.json({ message: 'Event queued for redelivery', id: Number(req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replay every dead-lettered event (optionally only one ?eventType)
+app.post('/api/webhook-outbox/replay', requireScope('admin'), async (req, res) => {
+  const eventType = req.body?.eventType || req.query.eventType;
+
+  try {
+    const [result] = await pool.query(`
+      UPDATE webhook_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, locked_at = NULL
+      WHERE status = 'dead' ${eventType ? 'AND event_type = ?' : ''}
+    `, eventType ? [eventType] : []);
+
+    console.log(`Replaying ${result.affectedRows} dead webhook outbox event(s)`);
+    res.json({ message: 'Dead events queued for redelivery', replayed: result.affectedRows });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Purge delivered or dead events, e.g. DELETE /api/webhook-outbox?status=delivered&olderThanDays=30
+app.delete('/api/webhook-outbox', requireScope('admin'), async (req, res) => {
+  const { status } = req.query;
+  const olderThanDays = req.query.olderThanDays === undefined ? 0 : parseInt(req.query.olderThanDays, 10);
+
+  if (!['delivered', 'dead'].includes(status)) {
+    return res.status(400).json({ error: 'status must be delivered or dead' });
+  }
+  if (isNaN(olderThanDays) || olderThanDays < 0) {
+    return res.status(400).json({ error: 'olderThanDays must be a non-negative integer' });
+  }
+
+  try {
+    const [result] = await pool.query(`
+      DELETE FROM webhook_outbox
+      WHERE status = ? AND created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+    `, [status, olderThanDays]);
+
+    console.log(`Purged ${result.affectedRows} ${status} webhook outbox event(s)`);
+    res.json({ message: `Purged ${status} events`, purged: result.affectedRows });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send the configured notification email for a table right now, using a real
+// record ({ "recordId": 42 }) or a sample ({ "record": { ... } }). With
+// MAIL_TRANSPORT=json the generated message comes back in the response.
+app.post('/api/email-notifications/:tableName/test', requireScope('admin'), async (req, res) => {
+  const tableName = req.params.tableName;
+  const { recordId, record } = req.body || {};
+
+  if (!IDENTIFIER_PATTERN.test(tableName) || !Object.prototype.hasOwnProperty.call(emailNotificationConfig, tableName)) {
+    return res.status(404).json({ error: `No email notification configured for ${tableName}` });
+  }
+  if (!getMailTransporter()) {
+    return res.status(503).json({ error: 'Email is not configured (set SMTP_HOST or MAIL_TRANSPORT)' });
+  }
+
+  try {
+    let recordData = record;
+    if (recordId !== undefined) {
+      const [rows] = await pool.query('SELECT * FROM ?? WHERE id = ?', [tableName, recordId]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Record not found' });
+      }
+      recordData = rows[0];
+    }
+    if (typeof recordData !== 'object' || recordData === null) {
+      return res.status(400).json({ error: 'recordId or record is required' });
+    }
+
+    const message = await buildEmailNotification(tableName, recordData);
+    if (!message) {
+      return res.status(400).json({ error: 'The notification has no recipients for this record' });
+    }
+
+    const info = await getMailTransporter().sendMail(message);
+    res.json({
+      messageId: info.messageId,
+      accepted: info.accepted || message.to,
+      message: typeof info.message === 'string' ? JSON.parse(info.message) : undefined
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List email templates (every name and locale)
+app.get('/api/email-templates', requireScope('admin'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM email_templates ORDER BY name ASC, locale ASC');
+    const defaults = Object.values(emailNotificationConfig)
+      .filter(config => config.template)
+      .map(config => config.template);
+    res.json({ templates: rows.map(toEmailTemplate), defaults });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// All stored locales of one template, plus its built-in default if it has one
+app.get('/api/email-templates/:name', requireScope('admin'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM email_templates WHERE name = ? ORDER BY locale ASC', [req.params.name]);
+    const fallback = findDefaultTemplate(req.params.name);
+    if (rows.length === 0 && !fallback) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ name: req.params.name, locales: rows.map(toEmailTemplate), default: fallback });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create or replace one locale of a template
+// e.g. PUT /api/email-templates/subscriber_welcome/fr { "subject": "...", "html": "...", "text": "..." }
+app.put('/api/email-templates/:name/:locale', requireScope('admin'), async (req, res) => {
+  const { name, locale } = req.params;
+  const { subject, html, text } = req.body || {};
+
+  if (!TEMPLATE_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ error: 'Invalid template name' });
+  }
+  if (!LOCALE_PATTERN.test(locale)) {
+    return res.status(400).json({ error: 'Invalid locale (expected e.g. en or fr-CA)' });
+  }
+  if (!subject || typeof subject !== 'string') {
+    return res.status(400).json({ error: 'subject is required' });
+  }
+  if (!html && !text) {
+    return res.status(400).json({ error: 'At least one of html or text is required' });
+  }
+
+  try {
+    await pool.query(`
+      INSERT INTO email_templates (name, locale, subject, html_body, text_body)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE subject = VALUES(subject), html_body = VALUES(html_body), text_body = VALUES(text_body)
+    `, [name, locale, subject, html || null, text || null]);
+    invalidateTemplateCache(name);
+
+    const [rows] = await pool.query('SELECT * FROM email_templates WHERE name = ? AND locale = ?', [name, locale]);
+    console.log(`Saved email template ${name} (${locale})`);
+    res.json(toEmailTemplate(rows[0]));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/email-templates/:name/:locale', requireScope('admin'), async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM email_templates WHERE name = ? AND locale = ?',
+      [req.params.name, req.params.locale]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    invalidateTemplateCache(req.params.name);
+    console.log(`Deleted email template ${req.params.name} (${req.params.locale})`);
+    res.json({ message: 'Template deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Render a template without sending it, against a sample record or a real one:
+// { "locale": "fr", "record": { "name": "Jane" } }
+// { "locale": "fr", "tableName": "subscribers", "recordId": 42 }
+app.post('/api/email-templates/:name/preview', requireScope('admin'), async (req, res) => {
+  const { locale, record, recordId } = req.body || {};
+  const tableName = req.body?.tableName || null;
+
+  if (locale !== undefined && !LOCALE_PATTERN.test(locale)) {
+    return res.status(400).json({ error: 'Invalid locale (expected e.g. en or fr-CA)' });
+  }
+  if (tableName !== null && !/^[a-zA-Z0-9_]+$/.test(tableName)) {
+    return res.status(400).json({ error: 'Invalid table name' });
+  }
+
+  try {
+    let recordData = record;
+    if (recordId !== undefined) {
+      if (!tableName) {
+        return res.status(400).json({ error: 'tableName is required with recordId' });
+      }
+      const [rows] = await pool.query(`SELECT * FROM ${tableName} WHERE id = ?`, [recordId]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Record not found' });
+      }
+      recordData = rows[0];
+    }
+    if (typeof recordData !== 'object' || recordData === null) {
+      return res.status(400).json({ error: 'record or tableName and recordId are required' });
+    }
+
+    const template = await resolveEmailTemplate(req.params.name, locale);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({
+      name: req.params.name,
+      locale: template.locale,
+      source: template.source,
+      ...renderEmailTemplate(template, buildTemplateContext(tableName, recordData))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start a double opt-in subscription: { "email": "a@example.com", "name": "A", "locale": "fr" }
+// New and previously unsubscribed addresses become pending and get a confirmation
+// email; pending ones get it again (at most every few minutes); confirmed ones are left alone.
+// The answer is the same in every case, so it can't be used to look up addresses.
+app.post('/api/subscribe', requireScope('subscribers:insert'), async (req, res) => {
+  const { name, locale } = req.body || {};
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'A valid email is required' });
+  }
+  if (name !== undefined && typeof name !== 'string') {
+    return res.status(400).json({ error: 'name must be a string' });
+  }
+  if (locale !== undefined && !LOCALE_PATTERN.test(locale)) {
+    return res.status(400).json({ error: 'Invalid locale (expected e.g. en or fr-CA)' });
+  }
+  if (!SUBSCRIPTION_TOKEN_SECRET || !getMailTransporter()) {
+    return res.status(503).json({ error: 'Subscriptions are not configured' });
+  }
+
+  let connection;
+  let subscriber;
+  let sendConfirmation = false;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT * FROM subscribers WHERE email = ? LIMIT 1 FOR UPDATE', [email]);
+    const existing = rows[0];
+
+    if (!existing) {
+      const data = { email, status: 'pending' };
+      if (name !== undefined) data.name = name;
+      if (locale !== undefined) data.locale = locale;
+      if ((await getTableColumns('subscribers')).includes('guid')) {
+        data.guid = crypto.randomUUID();
+      }
+      const { id } = await insertRecord(connection, 'subscribers', data);
+      sendConfirmation = true;
+      subscriber = { id, ...data };
+    } else if (existing.status === 'confirmed') {
+      subscriber = existing;
     } else {
-      return bodyContent; // Maybe it's already an object
+      const sentAt = existing.confirmation_sent_at ? new Date(existing.confirmation_sent_at).getTime() : 0;
+      sendConfirmation = existing.status === 'unsubscribed'
+        || Date.now() - sentAt >= CONFIRMATION_RESEND_INTERVAL_SECONDS * 1000;
+
+      const changes = { status: 'pending' };
+      if (name !== undefined) changes.name = name;
+      if (locale !== undefined) changes.locale = locale;
+      await connection.query('UPDATE subscribers SET ? WHERE id = ?', [changes, existing.id]);
+      subscriber = { ...existing, ...changes };
     }
-  } 
-  // Try req.body.body (Power Automate flow format)
-  else if (req.body?.body) {
-    const bodyContent = req.body.body;
-    if (typeof bodyContent === 'string') {
-      try {
-        return JSON.parse(bodyContent);
-      } catch (e) {
-        return bodyContent; // Return as is if not valid JSON
+
+    await connection.commit();
+  } catch (err) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Error creating subscription:', err);
+    return res.status(500).json({ error: 'Unable to save the subscription' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+
+  if (sendConfirmation) {
+    try {
+      await sendConfirmationEmail(subscriber);
+    } catch (err) {
+      // The subscriber is saved; subscribing again resends the confirmation
+      console.error(`Subscription confirmation failed for subscriber ID: ${subscriber.id}:`, err.message);
+    }
+  }
+
+  res.status(202).json({ message: 'Check your inbox to confirm the subscription' });
+});
+
+// Confirmation link target; no API key, the signed token identifies the subscriber.
+// Mail scanners open links on their own, so GET only shows a page whose button
+// POSTs the token back; the POST confirms.
+app.get('/api/subscribe/confirm', (req, res) => {
+  if (!verifySubscriptionToken(req.query.token, 'confirm')) {
+    return res.status(400).json({ error: 'Invalid or expired confirmation token' });
+  }
+  sendSubscriptionPage(res, {
+    title: 'Confirm your subscription',
+    message: 'Confirm that you want to receive the Chemican newsletter.',
+    action: `${PUBLIC_BASE_URL}/api/subscribe/confirm`,
+    token: req.query.token,
+    button: 'Confirm subscription'
+  });
+});
+
+app.post('/api/subscribe/confirm', async (req, res) => {
+  const token = verifySubscriptionToken(req.query.token || req.body?.token, 'confirm');
+  if (!token) {
+    return res.status(400).json({ error: 'Invalid or expired confirmation token' });
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const [result] = await connection.query(`
+      UPDATE subscribers
+      SET status = 'confirmed', confirmed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND email = ? AND status = 'pending'
+    `, [token.sid, token.email]);
+    if (result.affectedRows > 0) {
+      await recordSubscriberConsentEvent(connection, token, 'confirmed');
+    }
+    await connection.commit();
+    connection.release();
+    connection = null;
+
+    const [rows] = await pool.query('SELECT * FROM subscribers WHERE id = ? AND email = ?', [token.sid, token.email]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Subscriber not found' });
+    }
+    const subscriber = rows[0];
+
+    if (result.affectedRows === 0) {
+      // A stale confirmation link must not undo a later unsubscribe
+      if (subscriber.status === 'unsubscribed') {
+        return sendSubscriptionResult(res, SUBSCRIBE_REDIRECT_URL, 409, { id: subscriber.id, status: 'unsubscribed' });
+      }
+      return sendSubscriptionResult(res, SUBSCRIBE_REDIRECT_URL, 200, { id: subscriber.id, status: subscriber.status });
+    }
+
+    console.log(`Confirmed subscriber ID: ${subscriber.id}`);
+    try {
+      await notifyRecordEvent('subscribers.created', subscriber, { source: 'api' });
+    } catch (err) {
+      console.error(`Failed to queue webhook for confirmed subscriber ID: ${subscriber.id}:`, err.message);
+    }
+
+    sendSubscriptionResult(res, SUBSCRIBE_REDIRECT_URL, 200, { id: subscriber.id, status: 'confirmed' });
+  } catch (err) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+      connection.release();
+    }
+    console.error('Error confirming subscription:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unsubscribe link target. GET (the link in the email body) only shows a page
+// whose button POSTs the token back, so link scanners can't unsubscribe anyone;
+// POST unsubscribes, from that page or as the one-click List-Unsubscribe-Post
+// request (RFC 8058) mail clients send.
+app.get('/api/unsubscribe', (req, res) => {
+  if (!verifySubscriptionToken(req.query.token, 'unsubscribe')) {
+    return res.status(400).json({ error: 'Invalid unsubscribe token' });
+  }
+  sendSubscriptionPage(res, {
+    title: 'Unsubscribe',
+    message: 'Stop receiving the Chemican newsletter?',
+    action: `${PUBLIC_BASE_URL}/api/unsubscribe`,
+    token: req.query.token,
+    button: 'Unsubscribe'
+  });
+});
+
+app.post('/api/unsubscribe', async (req, res) => {
+  const token = verifySubscriptionToken(req.query.token || req.body?.token, 'unsubscribe');
+  if (!token) {
+    return res.status(400).json({ error: 'Invalid unsubscribe token' });
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const [result] = await connection.query(`
+      UPDATE subscribers
+      SET status = 'unsubscribed', unsubscribed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND email = ? AND status <> 'unsubscribed'
+    `, [token.sid, token.email]);
+    if (result.affectedRows > 0) {
+      await recordSubscriberConsentEvent(connection, token, 'unsubscribed');
+    }
+    await connection.commit();
+    connection.release();
+    connection = null;
+
+    if (result.affectedRows === 0) {
+      const [rows] = await pool.query('SELECT id FROM subscribers WHERE id = ? AND email = ?', [token.sid, token.email]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Subscriber not found' });
       }
     } else {
-      return bodyContent; // Maybe it's already an object
+      console.log(`Unsubscribed subscriber ID: ${token.sid}`);
+    }
+
+    // Mail clients' one-click requests get JSON, people on the page the redirect
+    const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+    sendSubscriptionResult(res, oneClick ? null : UNSUBSCRIBE_REDIRECT_URL, 200, { id: token.sid, status: 'unsubscribed' });
+  } catch (err) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+      connection.release();
     }
+    console.error('Error unsubscribing:', err);
+    res.status(500).json({ error: err.message });
   }
-  // Fallback to req.body itself
-  else {
-    return req.body;
+});
+
+app.get('/api/campaigns', requireScope('admin'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM campaigns ORDER BY id DESC');
+    res.json(rows.map(row => toCampaign(row)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/campaigns/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM campaigns WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json(toCampaign(rows[0], await getCampaignSendCounts(rows[0].id)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a draft campaign:
+// { "name": "March news", "template": "newsletter_march" }
+// { "name": "New post digest", "postId": 76 }
+// { "name": "Launch", "subject": "We launched", "html": "<p>...</p>", "text": "..." }
+app.post('/api/campaigns', requireScope('admin'), async (req, res) => {
+  try {
+    const data = parseCampaignInput(req.body);
+    const [result] = await pool.query('INSERT INTO campaigns SET ?', data);
+    const [rows] = await pool.query('SELECT * FROM campaigns WHERE id = ?', [result.insertId]);
+    console.log(`Created campaign ${result.insertId} (${data.name})`);
+    res.status(201).json(toCampaign(rows[0]));
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// Render the campaign for one subscriber (or a sample one) without sending:
+// { "subscriberId": 42 } or { "subscriber": { "name": "Jane", "email": "jane@example.com", "locale": "fr" } }
+app.post('/api/campaigns/:id/preview', requireScope('admin'), async (req, res) => {
+  try {
+    const [campaigns] = await pool.query('SELECT * FROM campaigns WHERE id = ?', [req.params.id]);
+    if (campaigns.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    let subscriber = req.body?.subscriber || { name: 'Subscriber', email: 'subscriber@example.com' };
+    if (req.body?.subscriberId !== undefined) {
+      const [rows] = await pool.query('SELECT * FROM subscribers WHERE id = ?', [req.body.subscriberId]);
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Subscriber not found' });
+      }
+      subscriber = rows[0];
+    }
+
+    const content = await loadCampaignContent(campaigns[0]);
+    res.json({ to: subscriber.email, ...(await renderCampaignEmail(content, subscriber)) });
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// Start or resume sending. The first send snapshots every confirmed subscriber
+// as a recipient; resuming a paused campaign continues with the ones left.
+app.post('/api/campaigns/:id/send', requireScope('admin'), async (req, res) => {
+  if (!getMailTransporter()) {
+    return res.status(503).json({ error: 'Email is not configured' });
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT * FROM campaigns WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const campaign = rows[0];
+    if (campaign.status === 'sending' || campaign.status === 'sent') {
+      await connection.rollback();
+      return res.status(409).json({ error: `Campaign is already ${campaign.status}` });
+    }
+
+    // Fails early on a missing post or template instead of pausing mid-send
+    const content = await loadCampaignContent(campaign);
+    if (!campaign.subject && !(await resolveEmailTemplate(campaign.template_name, DEFAULT_EMAIL_LOCALE))) {
+      throw httpError(422, `Email template ${campaign.template_name} not found`);
+    }
+
+    if (campaign.status === 'draft') {
+      await connection.query(`
+        INSERT IGNORE INTO campaign_sends (campaign_id, subscriber_id, email)
+        SELECT ?, id, email FROM subscribers WHERE status = 'confirmed'
+      `, [campaign.id]);
+    }
+    await connection.query(
+      "UPDATE campaigns SET status = 'sending', started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = ?",
+      [campaign.id]
+    );
+    await connection.commit();
+
+    console.log(`Campaign ${campaign.id} ${campaign.status === 'draft' ? 'started' : 'resumed'}${content.post ? ` for post ${content.post.id}` : ''}`);
+    processCampaignSends();
+
+    const [updated] = await pool.query('SELECT * FROM campaigns WHERE id = ?', [campaign.id]);
+    res.status(202).json(toCampaign(updated[0], await getCampaignSendCounts(campaign.id)));
+  } catch (err) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+    }
+    sendErrorResponse(res, err);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+app.post('/api/campaigns/:id/pause', requireScope('admin'), async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      "UPDATE campaigns SET status = 'paused' WHERE id = ? AND status = 'sending'",
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Campaign not found or not sending' });
+    }
+    console.log(`Campaign ${req.params.id} paused`);
+    res.json({ message: 'Campaign paused' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Per-recipient delivery status: ?status=failed&email=jane@example.com&limit=100&offset=0
+app.get('/api/campaigns/:id/sends', requireScope('admin'), async (req, res) => {
+  const { status, email } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, MAX_PAGE_LIMIT);
+  const offset = parseInt(req.query.offset || '0', 10) || 0;
+
+  if (status !== undefined && !CAMPAIGN_SEND_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${CAMPAIGN_SEND_STATUSES.join(', ')}` });
+  }
+
+  const conditions = ['campaign_id = ?'];
+  const params = [req.params.id];
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (email) {
+    conditions.push('email = ?');
+    params.push(email);
+  }
+
+  try {
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM campaign_sends WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+    const [rows] = await pool.query(
+      `SELECT * FROM campaign_sends WHERE ${conditions.join(' AND ')} ORDER BY id ASC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    res.set('X-Total-Count', String(total));
+    res.json(rows.map(toCampaignSend));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Published posts, newest first: ?limit=10&offset=0&tag=chemistry,safety&tagMatch=all
+// (tagMatch defaults to any). Answers { data, meta: { total, limit, offset } }.
+app.get('/api/blog/posts', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || BLOG_PAGE_SIZE, 10) || BLOG_PAGE_SIZE, BLOG_MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+  const tagSlugs = req.query.tag ? String(req.query.tag).split(',').map(tag => tag.trim()).filter(Boolean) : [];
+  const tagMatch = req.query.tagMatch || 'any';
+
+  if (!['any', 'all'].includes(tagMatch)) {
+    return res.status(400).json({ error: 'tagMatch must be any or all' });
   }
-}
-// Test connection endpoint
-app.get('/api/test', async (req, res) => {
+
   try {
-    const [results] = await pool.query('SELECT 1+1 AS result');
-    res.json({ message: 'Database connection successful', result: results[0] });
+    const columns = await getTableColumns('blog_posts');
+    const conditions = [buildPublishedCondition(columns)];
+    const params = [];
+
+    if (tagSlugs.length > 0) {
+      // Posts tagged with any (or every) one of the slugs
+      conditions.push(`p.id IN (
+        SELECT pt.post_id FROM blog_post_tags pt
+        JOIN blog_tags t ON t.id = pt.tag_id
+        WHERE t.slug IN (?)
+        GROUP BY pt.post_id
+        HAVING COUNT(DISTINCT t.id) >= ?
+      )`);
+      params.push(tagSlugs, tagMatch === 'all' ? tagSlugs.length : 1);
+    }
+
+    const where = conditions.join(' AND ');
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM blog_posts p WHERE ${where}`, params);
+    const [rows] = await pool.query(
+      `SELECT p.* FROM blog_posts p WHERE ${where} ORDER BY ${getBlogPostOrder(columns)} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const tagsByPost = await getTagsForPosts(rows.map(row => row.id));
+    res.set('X-Total-Count', String(total));
+    res.json({
+      data: rows.map(row => ({ ...shapeBlogPost(row, BLOG_POST_SUMMARY_FIELDS, columns), tags: tagsByPost.get(row.id) })),
+      meta: { total, limit, offset }
+    });
   } catch (err) {
+    console.error('Error listing blog posts:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get table data endpoint
-app.get('/api/tables/:tableName', async (req, res) => {
-  const tableName = req.params.tableName;
-  if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
-    return res.status(400).json({ error: 'Invalid table name' });
-  }
-  
+// Tags that have at least one published post, with how many
+app.get('/api/blog/tags', async (req, res) => {
   try {
-    const [results] = await pool.query(`SELECT * FROM ${tableName}`);
-    res.json(results);
+    const columns = await getTableColumns('blog_posts');
+    const [rows] = await pool.query(`
+      SELECT t.id, t.name, t.slug, COUNT(p.id) AS post_count
+      FROM blog_tags t
+      JOIN blog_post_tags pt ON pt.tag_id = t.id
+      JOIN blog_posts p ON p.id = pt.post_id AND ${buildPublishedCondition(columns)}
+      GROUP BY t.id, t.name, t.slug
+      ORDER BY t.name ASC
+    `);
+    res.json(rows.map(row => ({ ...toBlogTag(row), postCount: row.post_count })));
   } catch (err) {
+    console.error('Error listing blog tags:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Search records by field value (e.g. GET /api/tables/blog_posts/search?field=slug&value=my-post)
-app.get('/api/tables/:tableName/search', async (req, res) => {
-  const tableName = req.params.tableName;
-  const { field, value } = req.query;
+// One published post with its tags and approved comment count
+app.get('/api/blog/posts/:slug', async (req, res) => {
+  try {
+    const columns = await getTableColumns('blog_posts');
+    const post = await findPublishedPostBySlug(req.params.slug, columns);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
 
-  if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
-    return res.status(400).json({ error: 'Invalid table name' });
-  }
-  if (!field || !value) {
-    return res.status(400).json({ error: 'Both field and value query params are required' });
-  }
-  if (!/^[a-zA-Z0-9_]+$/.test(field)) {
-    return res.status(400).json({ error: 'Invalid field name' });
+    const tagsByPost = await getTagsForPosts([post.id]);
+    const [[{ commentCount }]] = await pool.query(
+      "SELECT COUNT(*) AS commentCount FROM blog_comments WHERE post_id = ? AND status = 'approved'",
+      [post.id]
+    );
+
+    res.json({
+      ...shapeBlogPost(post, BLOG_POST_DETAIL_FIELDS, columns),
+      tags: tagsByPost.get(post.id),
+      commentCount
+    });
+  } catch (err) {
+    console.error('Error fetching blog post:', err);
+    res.status(500).json({ error: err.message });
   }
+});
+
+// Other published posts ranked by how many tags they share with this one,
+// newest first on ties: ?limit=5
+app.get('/api/blog/posts/:slug/related', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || BLOG_RELATED_LIMIT, 10) || BLOG_RELATED_LIMIT, BLOG_MAX_PAGE_SIZE);
 
   try {
-    const [results] = await pool.query(`SELECT * FROM ${tableName} WHERE ?? = ? LIMIT 1`, [field, value]);
-    res.json(results[0] || null);
+    const columns = await getTableColumns('blog_posts');
+    const post = await findPublishedPostBySlug(req.params.slug, columns);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const [rows] = await pool.query(`
+      SELECT p.*, COUNT(*) AS shared_tags
+      FROM blog_post_tags source
+      JOIN blog_post_tags pt ON pt.tag_id = source.tag_id AND pt.post_id <> source.post_id
+      JOIN blog_posts p ON p.id = pt.post_id
+      WHERE source.post_id = ? AND ${buildPublishedCondition(columns)}
+      GROUP BY p.id
+      ORDER BY shared_tags DESC, ${getBlogPostOrder(columns)}
+      LIMIT ?
+    `, [post.id, limit]);
+
+    const tagsByPost = await getTagsForPosts(rows.map(row => row.id));
+    res.json(rows.map(row => ({
+      ...shapeBlogPost(row, BLOG_POST_SUMMARY_FIELDS, columns),
+      tags: tagsByPost.get(row.id),
+      sharedTags: row.shared_tags
+    })));
   } catch (err) {
-    console.error(`[${tableName}] Search error:`, err);
+    console.error('Error fetching related blog posts:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get specific record by ID or GUID
-app.get('/api/tables/:tableName/:idOrGuid', async (req, res) => {
-  const tableName = req.params.tableName;
-  const idOrGuid = req.params.idOrGuid;
-  
-  if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
-    return res.status(400).json({ error: 'Invalid table name' });
+// Count a page view from the website; no API key needed.
+// Optional body: { "referrer": "https://..." }
+app.post('/api/blog/posts/:idOrSlug/view', async (req, res) => {
+  const referrer = req.body?.referrer;
+  if (referrer !== undefined && referrer !== null && typeof referrer !== 'string') {
+    return res.status(400).json({ error: 'referrer must be a string' });
   }
-  
+  if (isBotUserAgent(req.get('User-Agent'))) {
+    return res.json({ counted: false, reason: 'bot' });
+  }
+
   try {
-    // First, try to find by id (assuming id is numeric)
-    let results;
-    
-    if (!isNaN(idOrGuid)) {
-      // If the parameter is numeric, try to find by id first
-      [results] = await pool.query(`SELECT * FROM ${tableName} WHERE id = ?`, [idOrGuid]);
-      
-      if (results.length > 0) {
-        return res.json(results[0]);
-      }
+    const view = await recordBlogPostView(req.params.idOrSlug, req);
+    if (!view) {
+      return res.status(404).json({ error: 'Post not found' });
     }
-    
-    // If not found by id or the parameter is not numeric, try to find by guid
-    [results] = await pool.query(`SELECT * FROM ${tableName} WHERE guid = ?`, [idOrGuid]);
-    
-    res.json(results[0] || {});
+    res.json(view.counted ? view : { ...view, reason: 'duplicate' });
   } catch (err) {
+    console.error('Error recording blog post view:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Create record with flexible body handling
-app.post('/api/tables/:tableName', async (req, res) => {
-  const tableName = req.params.tableName;
-  let data;
-  
+// Public comment form target; no API key needed. Spam is stored (for review)
+// but answered exactly like a normal pending comment.
+// { "author_name": "Jane", "author_email": "jane@example.com", "content": "Great post", "website": "" }
+app.post('/api/blog/posts/:postId/comments', async (req, res) => {
+  const postId = req.params.postId;
+  if (!/^\d+$/.test(postId)) {
+    return res.status(400).json({ error: 'Invalid post id' });
+  }
+
   try {
-    data = extractDataFromRequest(req);
-    
-    // Validate we got an object
-    if (typeof data !== 'object' || data === null) {
-      console.error(`[${tableName}] Parsed data is not an object:`, data);
-      return res.status(400).json({ error: "Invalid data format: Failed to extract a valid JSON object from request" });
+    const [posts] = await pool.query('SELECT id FROM blog_posts WHERE id = ?', [postId]);
+    if (posts.length === 0) {
+      return res.status(404).json({ error: 'Post not found' });
     }
-  } catch (e) {
-    console.error(`[${tableName}] Error processing request body:`, e);
-    console.error('Request body structure:', JSON.stringify(req.body, null, 2));
-    return res.status(400).json({ error: "Invalid data format: Unable to parse JSON payload" });
+
+    if (await isCommentRateLimited(req.ip)) {
+      return res.status(429).json({ error: 'Too many comments, please try again later' });
+    }
+
+    const input = { post_id: parseInt(postId, 10) };
+    COMMENT_INPUT_FIELDS
+      .filter(field => req.body?.[field] !== undefined)
+      .forEach(field => { input[field] = req.body[field]; });
+    if (typeof input.content !== 'string' || !input.content.trim()) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+
+    const data = await prepareRecordData('blog_comments', input, { policy: getTablePolicy('blog_comments') });
+    const { score, reasons } = scoreComment(req.body || {});
+    Object.assign(data, {
+      status: reasons.length > 0 ? 'spam' : 'pending',
+      spam_score: score,
+      spam_reasons: reasons.length > 0 ? JSON.stringify(reasons) : null,
+      ip_address: req.ip || null,
+      user_agent: (req.get('User-Agent') || '').slice(0, 255) || null
+    });
+
+    const { id } = await insertRecord(pool, 'blog_comments', data);
+    console.log(`[blog_comments] Comment ${id} on post ${postId} stored as ${data.status}${reasons.length ? ` (${reasons.join(', ')})` : ''}`);
+    res.status(201).json({ id, status: 'pending' });
+  } catch (err) {
+    if (!err.status) {
+      console.error('Error creating blog comment:', err);
+    }
+    sendErrorResponse(res, err);
   }
+});
 
-  if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
-    console.log(`[${tableName}] Invalid table name:`, tableName);
-    return res.status(400).json({ error: 'Invalid table name' });
+// Approved comments on a post, oldest first: ?limit=50&offset=0
+app.get('/api/blog/posts/:postId/comments', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, MAX_PAGE_LIMIT);
+  const offset = parseInt(req.query.offset || '0', 10) || 0;
+
+  try {
+    const [[{ total }]] = await pool.query(
+      "SELECT COUNT(*) AS total FROM blog_comments WHERE post_id = ? AND status = 'approved'",
+      [req.params.postId]
+    );
+    const [rows] = await pool.query(`
+      SELECT * FROM blog_comments
+      WHERE post_id = ? AND status = 'approved'
+      ORDER BY created_at ASC, id ASC
+      LIMIT ? OFFSET ?
+    `, [req.params.postId, limit, offset]);
+    res.set('X-Total-Count', String(total));
+    res.json(rows.map(toPublicComment));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  // Remove ID if present to allow auto-increment
-  if (data.id !== undefined) {
-    console.warn(`[${tableName}] ID property found in create data, removing it:`, data.id);
-    delete data.id;
+// Moderation queue: ?status=pending (default), ?status=spam, &postId=76
+app.get('/api/blog/comments', requireScope('blog_comments:read'), async (req, res) => {
+  const status = req.query.status || 'pending';
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, MAX_PAGE_LIMIT);
+  const offset = parseInt(req.query.offset || '0', 10) || 0;
+
+  if (!COMMENT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${COMMENT_STATUSES.join(', ')}` });
   }
 
-  if (Object.keys(data).length === 0) {
-    console.log(`[${tableName}] No insert data provided after processing.`);
-    return res.status(400).json({ error: 'No insert data provided' });
+  const conditions = ['status = ?'];
+  const params = [status];
+  if (req.query.postId) {
+    conditions.push('post_id = ?');
+    params.push(req.query.postId);
   }
 
   try {
-    console.log(`[${tableName}] Executing INSERT query with data:`, JSON.stringify(data));
-    const [result] = await pool.query(`INSERT INTO ${tableName} SET ?`, data);
-    const newRecordId = result.insertId;
-    console.log(`[${tableName}] Insert successful, new id: ${newRecordId}`);
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM blog_comments WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+    const [rows] = await pool.query(
+      `SELECT * FROM blog_comments WHERE ${conditions.join(' AND ')} ORDER BY id ASC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    res.set('X-Total-Count', String(total));
+    res.json(rows.map(row => stripHiddenColumns(getTablePolicy('blog_comments'), req.apiKey, row)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // For form_submits table, update the lastKnownFormSubmitId to avoid duplicate webhook sending
-    if (tableName === 'form_submits') {
-      // Update the tracking table immediately to prevent duplicate processing
-      lastKnownFormSubmitId = Math.max(lastKnownFormSubmitId, newRecordId);
-      await pool.query(`
-        UPDATE webhook_processed_records
-        SET last_processed_id = ?, last_check_time = CURRENT_TIMESTAMP
-        WHERE table_name = 'form_submits'
-      `, [lastKnownFormSubmitId]);
-      console.log(`Updated form_submits tracking to ID: ${lastKnownFormSubmitId}`);
-    }
-
-    // Send webhook notification for all tables
-    // if (POWER_AUTOMATE_WEBHOOK_URL) {
-    //   try {
-    //     await sendWebhookNotification(tableName, { id: newRecordId, ...data });
-    //   } catch (error) {
-    //     console.error(`[${tableName}] Failed to send webhook notification, but will continue.`);
-    //   }
-    // }
+// Bulk moderation: { "action": "approve" | "reject" | "spam", "ids": [12, 13] }
+app.post('/api/blog/comments/moderate', requireScope('blog_comments:write'), async (req, res) => {
+  const action = req.body?.action;
+  if (!getCommentModerationStatus(action)) {
+    return res.status(400).json({ error: `action must be one of: ${Object.keys(COMMENT_MODERATION_ACTIONS).join(', ')}` });
+  }
 
-    res.json({ id: newRecordId, ...data });
+  try {
+    const ids = parseCommentIds(req.body?.ids);
+    res.json(await moderateComments(ids, action, req.apiKey));
   } catch (err) {
-    console.error(`[${tableName}] Database error during INSERT:`, err);
-    res.status(500).json({ error: err.message });
+    sendErrorResponse(res, err);
   }
 });
 
-// Update record with flexible body handling
-app.put('/api/tables/:tableName/:idOrGuid', async (req, res) => {
-  const tableName = req.params.tableName;
-  const idOrGuid = req.params.idOrGuid;
-  let data;
-  
+// POST /api/blog/comments/42/approve (or /reject, /spam)
+app.post('/api/blog/comments/:id/:action', requireScope('blog_comments:write'), async (req, res) => {
+  const { id, action } = req.params;
+  if (!getCommentModerationStatus(action)) {
+    return res.status(404).json({ error: 'Unknown moderation action' });
+  }
+
   try {
-    data = extractDataFromRequest(req);
-    
-    // Validate we got an object
-    if (typeof data !== 'object' || data === null) {
-      console.error(`[${tableName}] Parsed data for UpdateRecord is not an object:`, data);
-      return res.status(400).json({ error: "Invalid data format: Failed to extract a valid JSON object from request" });
+    const result = await moderateComments(parseCommentIds(id), action, req.apiKey);
+    if (result.notFound.length > 0) {
+      return res.status(404).json({ error: 'Comment not found' });
     }
-  } catch (e) {
-    console.error(`[${tableName}] Error processing request body for UpdateRecord:`, e);
-    console.error('Request body structure:', JSON.stringify(req.body, null, 2));
-    return res.status(400).json({ error: "Invalid data format: Unable to parse JSON payload" });
+    res.json({ id: parseInt(id, 10), status: result.status, changed: result.updated.length > 0 });
+  } catch (err) {
+    sendErrorResponse(res, err);
   }
+});
 
-  if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
-    console.log(`[${tableName}] Invalid table name for UpdateRecord:`, tableName);
-    return res.status(400).json({ error: 'Invalid table name' });
+// Any metric as a time series: GET /api/analytics/timeseries/post_views?period=week&dimension=76
+app.get('/api/analytics/timeseries/:metric', requireScope('analytics:read'), async (req, res) => {
+  const { metric } = req.params;
+  if (!ANALYTICS_METRICS.includes(metric)) {
+    return res.status(404).json({ error: `Unknown metric (expected one of: ${ANALYTICS_METRICS.join(', ')})` });
   }
 
-  // Remove ID if present to avoid overwriting the record ID
-  if (data.id !== undefined) {
-    console.log(`[${tableName}] Removing id property from data:`, data.id);
-    delete data.id;
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const dimension = req.query.dimension !== undefined ? req.query.dimension : null;
+    const series = fillSeries(range, await queryMetricSeries(metric, range, { dimension }));
+    sendAnalyticsRows(req, res, series, ['period', 'value'], `${metric}-${range.period}`);
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// Views per period for one post: GET /api/analytics/posts/76/views?period=day
+app.get('/api/analytics/posts/:postId/views', requireScope('analytics:read'), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const series = fillSeries(range, await queryMetricSeries('post_views', range, { dimension: req.params.postId }));
+    sendAnalyticsRows(req, res, series, ['period', 'value'], `post-${req.params.postId}-views-${range.period}`);
+  } catch (err) {
+    sendErrorResponse(res, err);
   }
+});
 
-  // Allow guid updates only when explicitly the sole field (migration/sync use case)
-  // Previously stripped guid to prevent accidental overwrites, but sync needs it
+// Most viewed posts in the range: GET /api/analytics/posts/top?limit=10&from=2026-01-01
+app.get('/api/analytics/posts/top', requireScope('analytics:read'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '10', 10) || 10, 100);
 
-  if (Object.keys(data).length === 0) {
-    console.log(`[${tableName}] No update data provided after processing.`);
-    return res.status(400).json({ error: 'No update data provided or data format is incorrect' });
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const [rows] = await pool.query(`
+      SELECT p.id, p.slug, p.title, SUM(m.value) AS views
+      FROM analytics_metrics m
+      JOIN blog_posts p ON p.id = m.dimension
+      WHERE m.metric = 'post_views' AND m.bucket_date BETWEEN ? AND ?
+      GROUP BY p.id, p.slug, p.title
+      ORDER BY views DESC
+      LIMIT ?
+    `, [range.from, range.to, limit]);
+    const posts = rows.map(row => ({ id: row.id, slug: row.slug, title: row.title, views: Number(row.views) }));
+    sendAnalyticsRows(req, res, posts, ['id', 'slug', 'title', 'views'], 'top-posts');
+  } catch (err) {
+    sendErrorResponse(res, err);
   }
+});
 
+// Submissions per period and form type: GET /api/analytics/form-submissions?period=week
+app.get('/api/analytics/form-submissions', requireScope('analytics:read'), async (req, res) => {
   try {
-    let queryCondition, queryParams;
-    
-    // Check if idOrGuid is numeric (likely an ID) or string (likely a GUID)
-    if (!isNaN(idOrGuid)) {
-      console.log(`[${tableName}] Executing UPDATE query for id: ${idOrGuid} with data:`, JSON.stringify(data));
-      queryCondition = 'id = ?';
-      queryParams = [data, idOrGuid];
-    } else {
-      console.log(`[${tableName}] Executing UPDATE query for guid: ${idOrGuid} with data:`, JSON.stringify(data));
-      queryCondition = 'guid = ?';
-      queryParams = [data, idOrGuid];
+    const range = parseAnalyticsRange(req.query);
+    const rows = await queryMetricSeries('form_submissions', range, { groupByDimension: true });
+    const submissions = rows.map(row => ({ period: row.period, formType: row.dimension || null, value: row.value }));
+    sendAnalyticsRows(req, res, submissions, ['period', 'formType', 'value'], `form-submissions-${range.period}`);
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// Newly confirmed subscribers per period: GET /api/analytics/subscribers?period=month
+app.get('/api/analytics/subscribers', requireScope('analytics:read'), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const series = fillSeries(range, await queryMetricSeries('new_subscribers', range));
+    sendAnalyticsRows(req, res, series, ['period', 'value'], `subscribers-${range.period}`);
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// Watched tables with their settings and poll state
+app.get('/api/change-capture', requireScope('admin'), (req, res) => {
+  res.json([...changeCaptureRegistry.values()].map(toChangeCaptureResponse));
+});
+
+// Start watching another table without a deploy. It starts from its current
+// newest row, or where it stopped if it was watched before.
+// { "table": "quote_requests", "event": "quote_requests", "batchSize": 20,
+//   "intervalSeconds": 60, "filter": { "status": "new" } }
+// Changes mode may need an updated_at column and index on the table; add
+// "allowSchemaChanges": true to have them created.
+app.post('/api/change-capture', requireScope('admin'), async (req, res) => {
+  const { table, allowSchemaChanges = false, ...settings } = req.body || {};
+
+  try {
+    if (typeof table !== 'string') {
+      throw httpError(400, 'table is required');
     }
-    
-    const [updateResult] = await pool.query(`UPDATE ${tableName} SET ? WHERE ${queryCondition}`, queryParams);
-    
-    if (updateResult.affectedRows === 0) {
-      // If no rows were updated with the first condition, try the other one
-      if (!isNaN(idOrGuid)) {
-        // If we tried ID first, now try GUID
-        console.log(`[${tableName}] No rows updated by id, trying guid: ${idOrGuid}`);
-        const [retryResult] = await pool.query(`UPDATE ${tableName} SET ? WHERE guid = ?`, [data, idOrGuid]);
-        if (retryResult.affectedRows === 0) {
-          return res.status(404).json({ error: 'Record not found' });
-        }
-      } else {
-        // If we tried GUID first, now try ID (if it could potentially be numeric)
-        if (idOrGuid.match(/^\d+$/)) {
-          console.log(`[${tableName}] No rows updated by guid, trying id: ${idOrGuid}`);
-          const [retryResult] = await pool.query(`UPDATE ${tableName} SET ? WHERE id = ?`, [data, idOrGuid]);
-          if (retryResult.affectedRows === 0) {
-            return res.status(404).json({ error: 'Record not found' });
-          }
-        } else {
-          return res.status(404).json({ error: 'Record not found' });
-        }
-      }
+    if (changeCaptureRegistry.has(table)) {
+      throw httpError(409, `${table} is already watched`);
     }
-    
-    console.log(`[${tableName}] Update successful for idOrGuid: ${idOrGuid}`);
-    
-    // Fetch the updated record to return it
-    let [updatedRecord] = await pool.query(
-      `SELECT * FROM ${tableName} WHERE id = ? OR guid = ? LIMIT 1`, 
-      [idOrGuid, idOrGuid]
-    );
-    
-    res.json(updatedRecord[0] || { message: 'Record updated successfully' });
+
+    if (typeof allowSchemaChanges !== 'boolean') {
+      throw httpError(400, 'allowSchemaChanges must be true or false');
+    }
+
+    const config = normalizeChangeCaptureConfig(table, settings);
+    const { tableName, ...storedConfig } = config;
+    // Saved first, so a table that polls is always one that is kept
+    try {
+      await pool.query('INSERT INTO change_capture_tables (table_name, config) VALUES (?, ?)', [tableName, JSON.stringify(storedConfig)]);
+    } catch (err) {
+      throw err.code === 'ER_DUP_ENTRY' ? httpError(409, `${tableName} is already watched`) : err;
+    }
+
+    let entry;
+    try {
+      entry = await registerChangeCapture(config, 'runtime', { allowSchemaChanges });
+    } catch (err) {
+      await pool.query('DELETE FROM change_capture_tables WHERE table_name = ?', [tableName]);
+      throw err;
+    }
+
+    console.log(`Change capture added for ${tableName}`);
+    res.status(201).json(toChangeCaptureResponse(entry));
   } catch (err) {
-    console.error(`[${tableName}] Database error during UPDATE:`, err);
-    res.status(500).json({ error: err.message });
+    sendErrorResponse(res, err);
   }
 });
 
-// Delete by multiple field conditions (for junction tables with composite PKs)
-// e.g. DELETE /api/tables/blog_post_tags/where?post_id=76&tag_id=5
-app.delete('/api/tables/:tableName/where', async (req, res) => {
-  const tableName = req.params.tableName;
-  const conditions = req.query;
+// Stop watching a table added at runtime; its tracking row is kept, so adding
+// it again resumes where it stopped
+app.delete('/api/change-capture/:table', requireScope('admin'), async (req, res) => {
+  const entry = changeCaptureRegistry.get(req.params.table);
+  if (!entry) {
+    return res.status(404).json({ error: 'Table is not watched' });
+  }
+  if (entry.source !== 'runtime') {
+    return res.status(409).json({ error: 'Tables from change-capture.js can only be removed there' });
+  }
 
-  if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
-    return res.status(400).json({ error: 'Invalid table name' });
+  try {
+    await pool.query('DELETE FROM change_capture_tables WHERE table_name = ?', [entry.tableName]);
+    stopChangeCapture(entry);
+    changeCaptureRegistry.delete(entry.tableName);
+    await pool.query('DELETE FROM poller_leases WHERE lease_name = ?', [getLeaseName(entry)]);
+    await dropStaleChangeLogTriggers();
+    console.log(`Change capture removed for ${entry.tableName}`);
+    res.json({ message: `Stopped watching ${entry.tableName}` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const fields = Object.keys(conditions);
-  if (fields.length === 0) {
-    return res.status(400).json({ error: 'At least one query parameter is required' });
+// Pollers with their status, lease, watermarks, last run and lag (rows and
+// change log entries not read yet)
+app.get('/api/pollers', requireScope('admin'), async (req, res) => {
+  try {
+    res.json(await describePollers([...changeCaptureRegistry.values()]));
+  } catch (err) {
+    sendErrorResponse(res, err);
   }
-  if (fields.some(f => !/^[a-zA-Z0-9_]+$/.test(f))) {
-    return res.status(400).json({ error: 'Invalid field name' });
+});
+
+app.post('/api/pollers/:table/pause', requireScope('admin'), async (req, res) => {
+  try {
+    const entry = getChangeCaptureEntry(req.params.table);
+    await setPollerPaused(entry, true);
+    res.json(await describePoller(entry));
+  } catch (err) {
+    sendErrorResponse(res, err);
   }
+});
 
+app.post('/api/pollers/:table/resume', requireScope('admin'), async (req, res) => {
   try {
-    const whereClauses = fields.map(f => `\`${f}\` = ?`).join(' AND ');
-    const values = fields.map(f => conditions[f]);
-    console.log(`[${tableName}] Executing DELETE WHERE ${whereClauses}`, values);
-    const [deleteResult] = await pool.query(`DELETE FROM ${tableName} WHERE ${whereClauses}`, values);
+    const entry = getChangeCaptureEntry(req.params.table);
+    await setPollerPaused(entry, false);
+    runChangeCapture(entry);
+    res.json(await describePoller(entry));
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// { "intervalSeconds": 10 }, or null to go back to the configured interval
+app.put('/api/pollers/:table', requireScope('admin'), async (req, res) => {
+  const { intervalSeconds } = req.body || {};
 
-    if (deleteResult.affectedRows > 0) {
-      return res.json({ message: 'Record(s) deleted successfully', affectedRows: deleteResult.affectedRows });
+  try {
+    const entry = getChangeCaptureEntry(req.params.table);
+    if (intervalSeconds === undefined) {
+      throw httpError(400, 'intervalSeconds is required');
     }
-    return res.status(404).json({ error: 'No matching records found' });
+    await setPollerInterval(entry, intervalSeconds);
+    res.json(await describePoller(entry));
   } catch (err) {
-    console.error(`[${tableName}] Database error during DELETE WHERE:`, err);
-    res.status(500).json({ error: err.message });
+    sendErrorResponse(res, err);
   }
 });
 
-// Delete record
-app.delete('/api/tables/:tableName/:idOrGuid', async (req, res) => {
-  const tableName = req.params.tableName;
-  const idOrGuid = req.params.idOrGuid;
-  
-  if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
-    return res.status(400).json({ error: 'Invalid table name' });
-  }
-  
+// Poll one table now, paused or not. Only the instance holding its lease can.
+app.post('/api/pollers/:table/run', requireScope('admin'), async (req, res) => {
   try {
-    // Try to delete by ID first if the parameter looks like a number
-    let deleteResult;
-    
-    if (!isNaN(idOrGuid)) {
-      console.log(`[${tableName}] Executing DELETE for id: ${idOrGuid}`);
-      [deleteResult] = await pool.query(`DELETE FROM ${tableName} WHERE id = ?`, [idOrGuid]);
-      
-      if (deleteResult.affectedRows > 0) {
-        return res.json({ message: 'Record deleted successfully', identifier: 'id', value: idOrGuid });
-      }
+    const entry = getChangeCaptureEntry(req.params.table);
+    const result = await runChangeCapture(entry, { manual: true });
+    if (result === 'busy') {
+      throw httpError(409, `${entry.tableName} is already being polled`);
     }
-    
-    // If no rows affected or not a number, try by GUID
-    console.log(`[${tableName}] Executing DELETE for guid: ${idOrGuid}`);
-    [deleteResult] = await pool.query(`DELETE FROM ${tableName} WHERE guid = ?`, [idOrGuid]);
-    
-    if (deleteResult.affectedRows > 0) {
-      return res.json({ message: 'Record deleted successfully', identifier: 'guid', value: idOrGuid });
+    if (result === 'standby') {
+      throw httpError(409, `Another instance holds the ${entry.tableName} poller lease`);
     }
-    
-    // If still no records affected, return 404
-    return res.status(404).json({ error: 'Record not found' });
+    res.status(result === 'error' ? 500 : 200).json({ result, poller: await describePoller(entry) });
   } catch (err) {
-    console.error(`[${tableName}] Database error during DELETE:`, err);
-    res.status(500).json({ error: err.message });
+    sendErrorResponse(res, err);
+  }
+});
+
+// Resume after a given row or from a point in time, e.g. { "toId": 120 } or
+// { "toTimestamp": "2024-05-01T00:00:00Z" }; an empty body skips to the newest
+// row. Rows past the new position are sent again (see rewindChangeCapture).
+app.post('/api/pollers/:table/rewind', requireScope('admin'), async (req, res) => {
+  const { toId, toTimestamp } = req.body || {};
+
+  try {
+    const entry = getChangeCaptureEntry(req.params.table);
+    await rewindChangeCapture(entry, { toId, toTimestamp });
+    res.json(await describePoller(entry));
+  } catch (err) {
+    sendErrorResponse(res, err);
+  }
+});
+
+// Live change stream (Server-Sent Events), e.g.
+// GET /api/stream?tables=form_submits,subscribers&api_key=chk_...
+// Each event's SSE id is its stream position; EventSource sends the last one
+// back as Last-Event-ID when it reconnects and the missed events are replayed.
+app.get('/api/stream', requireApiKey, async (req, res) => {
+  const client = {
+    transport: 'sse',
+    apiKey: req.apiKey,
+    send: (id, position, eventType, envelope) => res.write(`id: ${position}\nevent: ${eventType}\ndata: ${JSON.stringify(envelope)}\n\n`),
+    close: () => res.end()
+  };
+
+  try {
+    client.subscription = parseStreamSubscription(req.query, req.apiKey);
+    const lastEventId = parseLastEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+    await addStreamClient(client, lastEventId);
+  } catch (err) {
+    if (!err.status) {
+      console.error('Error opening event stream:', err);
+    }
+    return sendErrorResponse(res, err);
   }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    removeStreamClient(client);
+  });
+
+  await replayStreamEvents(client);
 });
 
 // Get current tracking state
-app.get('/api/tracking-status', async (req, res) => {
+app.get('/api/tracking-status', requireScope('admin'), async (req, res) => {
   try {
     const [trackingInfo] = await pool.query(`
       SELECT * FROM webhook_processed_records
@@ -877,7 +6859,8 @@ app.get('/api/tracking-status', async (req, res) => {
     
     res.json({
       trackingRecords: trackingInfo,
-      inMemoryLastId: lastKnownFormSubmitId,
+      inMemoryLastId: getLastProcessedId('form_submits'),
+      changeCapture: [...changeCaptureRegistry.values()].map(toChangeCaptureResponse),
       isInitialCheckComplete
     });
   } catch (err) {
@@ -885,43 +6868,21 @@ app.get('/api/tracking-status', async (req, res) => {
   }
 });
 
-// Reset tracking for a table
-app.post('/api/reset-tracking/:tableName', async (req, res) => {
+// Reset tracking for a table: { "resetToId": 120 }, or no body to skip to its
+// newest row. /api/pollers/:table/rewind does the same and also takes a time.
+app.post('/api/reset-tracking/:tableName', requireScope('admin'), async (req, res) => {
+  const { resetToId } = req.body || {};
+
   try {
-    const tableName = req.params.tableName;
-    if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
-      return res.status(400).json({ error: 'Invalid table name' });
-    }
-    
-    // Reset to specified ID or find current max
-    let resetToId = req.body.resetToId;
-    
-    if (resetToId === undefined) {
-      // Reset to current max ID
-      const [maxRows] = await pool.query(`
-        SELECT COALESCE(MAX(id), 0) AS max_id FROM ${tableName}
-      `);
-      resetToId = maxRows[0].max_id || 0;
-    }
-    
-    // Update the tracking table
-    await pool.query(`
-      UPDATE webhook_processed_records
-      SET last_processed_id = ?, last_check_time = CURRENT_TIMESTAMP
-      WHERE table_name = ?
-    `, [resetToId, tableName]);
-    
-    // Update in-memory variable if it's form_submits
-    if (tableName === 'form_submits') {
-      lastKnownFormSubmitId = resetToId;
-    }
-    
-    res.json({ 
-      message: `Tracking for ${tableName} reset to ID ${resetToId}`,
-      resetToId
+    const entry = getChangeCaptureEntry(req.params.tableName);
+    const to = await rewindChangeCapture(entry, { toId: resetToId === undefined ? undefined : Number(resetToId) });
+
+    res.json({
+      message: `Tracking for ${entry.tableName} reset to ID ${to.last_processed_id}`,
+      resetToId: to.last_processed_id
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendErrorResponse(res, err);
   }
 });
 
@@ -937,12 +6898,25 @@ app.get('/health', async (req, res) => {
       WHERE table_name = 'form_submits'
     `);
     
+    // Backlog of queued and dead-lettered webhook events
+    const [outboxCounts] = await pool.query(`
+      SELECT status, COUNT(*) AS count FROM webhook_outbox
+      WHERE status IN ('pending', 'delivering', 'dead')
+      GROUP BY status
+    `);
+    
+    // Which instance polls which table
+    const pollerLeases = await getPollerLeases();
+    
     res.json({
       status: 'healthy',
-      lastProcessedId: lastKnownFormSubmitId,
+      instanceId: INSTANCE_ID,
+      lastProcessedId: getLastProcessedId('form_submits'),
       isInitialCheckComplete,
       trackingInfo: trackingInfo[0] || null,
-      webhookUrl: POWER_AUTOMATE_WEBHOOK_URL ? '(configured)' : '(not configured)'
+      pollerLeases,
+      webhookUrl: POWER_AUTOMATE_WEBHOOK_URL ? '(configured)' : '(not configured)',
+      webhookOutbox: Object.fromEntries(outboxCounts.map(row => [row.status, row.count]))
     });
   } catch (err) {
     res.status(500).json({
@@ -952,13 +6926,18 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// Force check for new submissions (for testing)
-app.post('/api/force-check', async (req, res) => {
+// Force a check of every watched table (for testing); paused ones are left
+// alone. results says what happened per table (see runChangeCapture).
+app.post('/api/force-check', requireScope('admin'), async (req, res) => {
   try {
-    await checkForNewFormSubmissions();
+    const results = {};
+    for (const entry of changeCaptureRegistry.values()) {
+      results[entry.tableName] = await runChangeCapture(entry);
+    }
     res.json({
-      status: 'check initiated',
-      lastProcessedId: lastKnownFormSubmitId
+      status: 'check complete',
+      results,
+      lastProcessedId: getLastProcessedId('form_submits')
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -966,7 +6945,7 @@ app.post('/api/force-check', async (req, res) => {
 });
 
 // Proxy-fetch a public image URL (bypasses CORS for browser clients)
-app.post('/api/fetch-image', async (req, res) => {
+app.post('/api/fetch-image', requireApiKey, async (req, res) => {
   const { url } = req.body;
   if (!url || typeof url !== 'string') {
     return res.status(400).json({ error: 'url is required' });
@@ -993,6 +6972,9 @@ process.on('SIGTERM', () => {
   if (shuttingDown) return;
   shuttingDown = true;
   console.log('SIGTERM received — graceful shutdown in 5s...');
+  changeCaptureRegistry.forEach(stopChangeCapture);
+  releasePollerLeases();
+  closeStreamClients();
   setTimeout(() => {
     console.log('Shutting down now.');
     process.exit(0);
@@ -1005,13 +6987,27 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// Initialize the database and start the server
-initializeDatabase().then(() => {
-  app.listen(port, () => {
-    console.log(`Server running on port ${port}`);
-    console.log(`Polling: every 30s | Webhook: ${POWER_AUTOMATE_WEBHOOK_URL ? 'configured' : 'disabled'}`);
+// Initialize the database and start the server. Required as a module (the
+// tests do) nothing is started and the helpers below are exported instead.
+if (require.main === module) {
+  initializeDatabase().then(() => {
+    const server = app.listen(port, () => {
+      console.log(`Server running on port ${port}`);
+      console.log(`Polling: ${changeCaptureRegistry.size} table(s) | Webhook: ${POWER_AUTOMATE_WEBHOOK_URL ? 'configured' : 'disabled'} | Email: ${getMailTransporter() ? 'configured' : 'disabled'}`);
+    });
+    attachStreamWebSocket(server);
+  }).catch(err => {
+    console.error('Failed to initialize application:', err);
+    process.exit(1);
   });
-}).catch(err => {
-  console.error('Failed to initialize application:', err);
-  process.exit(1);
-});
+}
+
+module.exports = {
+  app,
+  buildEmailNotification,
+  compileFilter,
+  getMailTransporter,
+  hasWatchedValueChanged,
+  matchesRecordFilter,
+  validateRecordFilters
+};
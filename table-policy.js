@@ -0,0 +1,56 @@
+// Tables exposed through the generic /api/tables routes. A table that is not
+// listed here can't be read or written through them, whatever the caller's
+// API key scopes say. Point TABLE_POLICY_PATH at another module to override.
+//
+//   operations      - any of list, get, create, update, delete, deleteWhere
+//   key             - column matched by /:idOrGuid, or an array of columns for
+//                     a composite key (passed comma-separated, e.g. /76,5)
+//   alternateKey    - column tried when the key lookup finds nothing
+//   hiddenColumns   - left out of reads unless the API key has the admin scope
+//   readOnlyColumns - rejected on create and update
+//   events          - which of created, updated, deleted writes through these
+//                     routes announce as <table>.<action> events (default all;
+//                     [] for none). Left-out actions still go out through the
+//                     pollers when change-capture.js watches the table for them.
+
+module.exports = {
+  blog_posts: {
+    operations: ['list', 'get', 'create', 'update', 'delete'],
+    key: 'id',
+    alternateKey: 'guid',
+    readOnlyColumns: ['view_count', 'created_at']
+  },
+
+  blog_post_tags: {
+    operations: ['list', 'get', 'create', 'delete', 'deleteWhere'],
+    key: ['post_id', 'tag_id']
+  },
+
+  blog_tags: {
+    operations: ['list', 'get', 'create', 'update', 'delete'],
+    key: 'id'
+  },
+
+  blog_comments: {
+    operations: ['list', 'get', 'create', 'update', 'delete'],
+    key: 'id',
+    hiddenColumns: ['author_email', 'ip_address', 'user_agent'],
+    // Moderation goes through /api/blog/comments so approvals fire the webhook
+    readOnlyColumns: ['created_at', 'status', 'spam_score', 'spam_reasons', 'moderated_at', 'moderated_by']
+  },
+
+  form_submits: {
+    operations: ['list', 'get', 'create', 'update', 'delete'],
+    key: 'id',
+    alternateKey: 'guid',
+    readOnlyColumns: ['created_at']
+  },
+
+  subscribers: {
+    operations: ['list', 'get', 'create', 'update', 'delete'],
+    key: 'id',
+    alternateKey: 'guid',
+    hiddenColumns: ['email'],
+    readOnlyColumns: ['created_at']
+  }
+};
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hasWatchedValueChanged } = require('..');
+
+// Snapshots are JSON, written either by JSON_OBJECT (initial watermark) or by
+// JSON.stringify (after each change); live rows come straight from mysql2
+const roundTrip = value => JSON.parse(JSON.stringify({ value })).value;
+
+test('DATETIME values match their snapshots in either format', () => {
+  const live = new Date(2026, 0, 15, 9, 30, 5, 120);
+  assert.strictEqual(hasWatchedValueChanged(roundTrip(live), live), false);
+  assert.strictEqual(hasWatchedValueChanged('2026-01-15 09:30:05.120000', live), false);
+  assert.strictEqual(hasWatchedValueChanged('2026-01-15 09:30:06.000000', live), true);
+  assert.strictEqual(hasWatchedValueChanged('2026-01-15', new Date(2026, 0, 15)), false);
+  assert.strictEqual(hasWatchedValueChanged(null, live), true);
+});
+
+test('DECIMAL strings match numeric snapshots', () => {
+  assert.strictEqual(hasWatchedValueChanged(12.5, '12.50'), false);
+  assert.strictEqual(hasWatchedValueChanged('12.50', '12.50'), false);
+  assert.strictEqual(hasWatchedValueChanged(12.5, '12.51'), true);
+  assert.strictEqual(hasWatchedValueChanged('3', 3), false);
+});
+
+test('other values compare by value', () => {
+  assert.strictEqual(hasWatchedValueChanged(41, 42), true);
+  assert.strictEqual(hasWatchedValueChanged('draft', 'draft'), false);
+  assert.strictEqual(hasWatchedValueChanged(undefined, null), false);
+  assert.strictEqual(hasWatchedValueChanged(0, null), true);
+  assert.strictEqual(hasWatchedValueChanged({ a: [1, 2] }, { a: [1, 2] }), false);
+});
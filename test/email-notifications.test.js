@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Set before index.js (and email-notifications.js) read them
+process.env.MAIL_TRANSPORT = 'json';
+process.env.MAIL_FROM = 'Chemican <no-reply@example.com>';
+process.env.SALES_INBOX_EMAIL = 'sales@example.com, leads@example.com';
+process.env.COMMENT_MODERATORS_EMAIL = 'moderators@example.com';
+process.env.SUBSCRIPTION_TOKEN_SECRET = 'test-subscription-secret';
+process.env.PUBLIC_BASE_URL = 'https://api.example.com';
+
+const { buildEmailNotification, getMailTransporter } = require('..');
+
+// Build the message and push it through nodemailer's JSON transport
+async function sendThroughJsonTransport(tableName, record) {
+  const message = await buildEmailNotification(tableName, record);
+  assert.ok(message, `no email configured for ${tableName}`);
+  const info = await getMailTransporter().sendMail(message);
+  return JSON.parse(info.message);
+}
+
+const addresses = field => [].concat(field).map(({ address }) => address);
+
+test('form_submits goes to the sales inboxes with the record rendered', async () => {
+  const mail = await sendThroughJsonTransport('form_submits', {
+    id: 42,
+    form_type: 'contact',
+    email: 'ada@example.com',
+    message: '<script>alert("hi")</script> & more'
+  });
+
+  assert.deepStrictEqual(addresses(mail.from), ['no-reply@example.com']);
+  assert.deepStrictEqual(addresses(mail.to), ['sales@example.com', 'leads@example.com']);
+  assert.strictEqual(mail.subject, 'New contact form submission');
+  assert.match(mail.text, /#42\) was received/);
+  assert.match(mail.text, /message: <script>alert\("hi"\)<\/script> & more/);
+  assert.match(mail.html, /message: &lt;script&gt;alert\(&quot;hi&quot;\)&lt;\/script&gt; &amp; more/);
+  assert.doesNotMatch(mail.html, /<script>/);
+});
+
+test('blog_comments goes to the moderators with the comment escaped in html', async () => {
+  const mail = await sendThroughJsonTransport('blog_comments', {
+    id: 7,
+    post_id: 3,
+    author_name: 'Eve <b>',
+    content: 'Nice post <img src=x onerror=alert(1)>'
+  });
+
+  assert.deepStrictEqual(addresses(mail.to), ['moderators@example.com']);
+  assert.strictEqual(mail.subject, 'New blog comment on post #3');
+  assert.strictEqual(mail.text, 'Eve <b> commented:\n\nNice post <img src=x onerror=alert(1)>');
+  assert.strictEqual(
+    mail.html,
+    '<p><strong>Eve &lt;b&gt;</strong> commented:</p><blockquote>Nice post &lt;img src=x onerror=alert(1)&gt;</blockquote>'
+  );
+});
+
+test('subscribers are mailed at their own address with unsubscribe links and headers', async () => {
+  const mail = await sendThroughJsonTransport('subscribers', {
+    id: 5,
+    email: 'grace@example.com',
+    name: 'Grace & co',
+    locale: 'fr-CA'
+  });
+
+  assert.deepStrictEqual(addresses(mail.to), ['grace@example.com']);
+  assert.strictEqual(mail.subject, 'Welcome to the Chemican newsletter');
+  assert.match(mail.text, /^Hi Grace & co,/);
+  assert.match(mail.html, /^<p>Hi Grace &amp; co,<\/p>/);
+
+  const unsubscribeUrl = mail.text.match(/Unsubscribe: (\S+)/)[1];
+  assert.match(unsubscribeUrl, /^https:\/\/api\.example\.com\/api\/unsubscribe\?token=[\w-]+\.[\w-]+$/);
+  assert.ok(mail.html.includes(`<a href="${unsubscribeUrl}">Unsubscribe</a>`));
+  assert.strictEqual(mail.headers['List-Unsubscribe'], `<${unsubscribeUrl}>`);
+  assert.strictEqual(mail.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+});
+
+test('nothing is built without recipients or for tables without a config', async () => {
+  assert.strictEqual(await buildEmailNotification('subscribers', { id: 6, email: null }), null);
+  assert.strictEqual(await buildEmailNotification('blog_posts', { id: 1 }), null);
+  assert.strictEqual(await buildEmailNotification('constructor', { id: 1 }), null);
+});
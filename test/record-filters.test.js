@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchesRecordFilter, validateRecordFilters } = require('..');
+
+const record = { id: 7, form_type: 'contact', email: 'ada@example.com', deleted_at: null };
+
+test('matches equality shorthand and operator conditions', () => {
+  assert.strictEqual(matchesRecordFilter(record, { form_type: 'contact' }), true);
+  assert.strictEqual(matchesRecordFilter(record, { form_type: 'quote' }), false);
+  assert.strictEqual(matchesRecordFilter(record, { form_type: { in: ['contact', 'quote'] }, id: { gte: 5 } }), true);
+  assert.strictEqual(matchesRecordFilter(record, { email: { like: '%@example.com' }, deleted_at: { is_null: true } }), true);
+  assert.strictEqual(matchesRecordFilter(record, { id: { between: [8, 10] } }), false);
+  assert.strictEqual(matchesRecordFilter(record, null), true);
+});
+
+test('rejects inherited names as operators', () => {
+  for (const operator of ['hasOwnProperty', 'valueOf', 'constructor', 'toString', '__proto__']) {
+    assert.throws(
+      () => validateRecordFilters(JSON.parse(`{"id":{"${operator}":1}}`)),
+      err => err.status === 400 && /Unknown filter operator/.test(err.message),
+      operator
+    );
+  }
+  assert.throws(() => validateRecordFilters({ id: { nope: 1 } }), err => err.status === 400);
+  assert.doesNotThrow(() => validateRecordFilters({ id: { gt: 1 }, form_type: 'contact' }));
+});
+
+test('never matches, and never throws, on an unknown operator saved before validation', () => {
+  assert.strictEqual(matchesRecordFilter(record, { id: { hasOwnProperty: 1 } }), false);
+  assert.strictEqual(matchesRecordFilter(record, { id: { constructor: 1 } }), false);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileFilter } = require('..');
+
+const columns = ['id', 'status', 'created_at'];
+const rejects = (filter, pattern) => assert.throws(
+  () => compileFilter(filter, columns),
+  err => err.status === 400 && pattern.test(err.message)
+);
+
+test('compiles column conditions into placeholders', () => {
+  assert.deepStrictEqual(compileFilter({ status: 'draft' }, columns), { sql: '(?? = ?)', params: ['status', 'draft'] });
+  assert.deepStrictEqual(
+    compileFilter({ status: { in: 'draft,published' }, id: { between: ['1', '9'] } }, columns),
+    { sql: '(?? IN (?)) AND (?? BETWEEN ? AND ?)', params: ['status', ['draft', 'published'], 'id', '1', '9'] }
+  );
+  assert.strictEqual(compileFilter(undefined, columns), null);
+});
+
+test('rejects inherited names as operators', () => {
+  for (const operator of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+    rejects(JSON.parse(`{"status":{"${operator}":"x"}}`), /Unknown filter operator/);
+  }
+});
+
+test('rejects repeated values for single-value operators', () => {
+  rejects({ status: ['a', 'b'] }, /status eq filter takes a single value/);
+  for (const operator of ['ne', 'gt', 'gte', 'lt', 'lte', 'like']) {
+    rejects({ status: { [operator]: ['a', 'b'] } }, /takes a single value/);
+  }
+  assert.deepStrictEqual(compileFilter({ status: { in: ['a', 'b'] } }, columns).params, ['status', ['a', 'b']]);
+});
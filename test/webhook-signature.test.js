@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_TOLERANCE_SECONDS,
+  signWebhookPayload,
+  verifyWebhookSignature
+} = require('../webhook-signature');
+
+const secret = 'whsec_test';
+const rawBody = JSON.stringify({ event: 'form_submits.created', data: { id: 42 } });
+const now = 1700000000;
+
+test('signs as t=<timestamp>,v1=<hex HMAC>', () => {
+  assert.match(signWebhookPayload(secret, rawBody, now), /^t=1700000000,v1=[0-9a-f]{64}$/);
+});
+
+test('verifies its own signature, from a string or a Buffer body', () => {
+  const signatureHeader = signWebhookPayload(secret, rawBody, now);
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody, signatureHeader, now }), true);
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody: Buffer.from(rawBody), signatureHeader, now }), true);
+});
+
+test('rejects a tampered body', () => {
+  const signatureHeader = signWebhookPayload(secret, rawBody, now);
+  const tampered = rawBody.replace('42', '43');
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody: tampered, signatureHeader, now }), false);
+});
+
+test('rejects another secret', () => {
+  const signatureHeader = signWebhookPayload('whsec_other', rawBody, now);
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody, signatureHeader, now }), false);
+});
+
+test('accepts timestamps within the tolerance and rejects older or newer ones', () => {
+  const signatureHeader = signWebhookPayload(secret, rawBody, now);
+  const verifyAt = at => verifyWebhookSignature({ secret, rawBody, signatureHeader, now: at });
+
+  assert.strictEqual(verifyAt(now + DEFAULT_TOLERANCE_SECONDS), true);
+  assert.strictEqual(verifyAt(now - DEFAULT_TOLERANCE_SECONDS), true);
+  assert.strictEqual(verifyAt(now + DEFAULT_TOLERANCE_SECONDS + 1), false);
+  assert.strictEqual(verifyAt(now - DEFAULT_TOLERANCE_SECONDS - 1), false);
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody, signatureHeader, now: now + 60, toleranceSeconds: 30 }), false);
+});
+
+test('rejects a signature whose timestamp was changed', () => {
+  const signatureHeader = signWebhookPayload(secret, rawBody, now).replace(`t=${now}`, `t=${now + 1}`);
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody, signatureHeader, now }), false);
+});
+
+test('signs with the new and previous secret during a rotation, and either verifies', () => {
+  const signatureHeader = signWebhookPayload([secret, 'whsec_old'], rawBody, now);
+  assert.match(signatureHeader, /^t=1700000000,v1=[0-9a-f]{64},v1=[0-9a-f]{64}$/);
+  assert.strictEqual(signatureHeader.split(',')[1], signWebhookPayload(secret, rawBody, now).split(',')[1]);
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody, signatureHeader, now }), true);
+  assert.strictEqual(verifyWebhookSignature({ secret: 'whsec_old', rawBody, signatureHeader, now }), true);
+  assert.strictEqual(verifyWebhookSignature({ secret: 'whsec_other', rawBody, signatureHeader, now }), false);
+});
+
+test('rejects missing or malformed input', () => {
+  const signatureHeader = signWebhookPayload(secret, rawBody, now);
+  assert.strictEqual(verifyWebhookSignature({ secret: '', rawBody, signatureHeader, now }), false);
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody: null, signatureHeader, now }), false);
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody, signatureHeader: undefined, now }), false);
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody, signatureHeader: `t=${now}`, now }), false);
+  assert.strictEqual(verifyWebhookSignature({ secret, rawBody, signatureHeader: 'v1=abc', now }), false);
+});
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// Webhook signing shared by the sender (index.js) and receivers.
+//
+// Every delivery carries
+//   X-Chemican-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+// where the HMAC is computed with the subscription secret over
+// "<t>.<raw request body>". Receivers should verify against the raw body
+// (before JSON parsing) and reject stale timestamps to block replays:
+//
+//   const { verifyWebhookSignature } = require('./webhook-signature');
+//   const ok = verifyWebhookSignature({
+//     secret: process.env.CHEMICAN_WEBHOOK_SECRET,
+//     rawBody,
+//     signatureHeader: req.get('X-Chemican-Signature')
+//   });
+//
+// Rotating a subscription secret keeps the previous one for an overlap window
+// (24 hours unless the rotate call says otherwise). Until it expires each
+// delivery carries one v1 signature per secret, t=<t>,v1=<new>,v1=<previous>,
+// so receivers keep verifying with the old secret until they deploy the new one.
+
+const SIGNATURE_HEADER = 'X-Chemican-Signature';
+const EVENT_ID_HEADER = 'X-Chemican-Event-Id';
+const EVENT_VERSION_HEADER = 'X-Chemican-Event-Version';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+// Returns the X-Chemican-Signature header value for a body. secret may be an
+// array of secrets (current first) to add a v1 signature for each.
+function signWebhookPayload(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  const signatures = [].concat(secret).filter(Boolean).map(value => `v1=${computeSignature(value, timestamp, rawBody)}`);
+  return [`t=${timestamp}`, ...signatures].join(',');
+}
+
+function parseSignatureHeader(signatureHeader) {
+  const parts = { timestamp: null, signatures: [] };
+  for (const item of String(signatureHeader || '').split(',')) {
+    const [key, value] = item.trim().split('=');
+    if (key === 't' && /^\d+$/.test(value)) {
+      parts.timestamp = parseInt(value, 10);
+    } else if (key === 'v1' && value) {
+      parts.signatures.push(value);
+    }
+  }
+  return parts;
+}
+
+// True when the header holds a v1 signature of rawBody made with secret and its
+// timestamp is within toleranceSeconds of now. Any of several v1 values may
+// match, so either secret verifies during a rotation overlap.
+function verifyWebhookSignature({
+  secret,
+  rawBody,
+  signatureHeader,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Math.floor(Date.now() / 1000)
+}) {
+  if (!secret || rawBody === undefined || rawBody === null) {
+    return false;
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(signatureHeader);
+  if (timestamp === null || signatures.length === 0) {
+    return false;
+  }
+  if (Math.abs(now - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody));
+  return signatures.some(signature => {
+    const candidate = Buffer.from(signature);
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  EVENT_ID_HEADER,
+  EVENT_VERSION_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  signWebhookPayload,
+  verifyWebhookSignature
+};